@@ -1,17 +1,27 @@
 const STORAGE_KEYS = {
   rooms: 'exam_rooms',
   students: 'exam_students',
-  theme: 'exam-theme'
+  subjectTags: 'exam_subject_tags',
+  theme: 'exam-theme',
+  token: 'exam_token'
 };
 
+// Served by server.js the page calls its own origin; opened as a file it
+// needs the server's address, and the server needs `null` in CORS_ORIGINS
+const API_BASE = globalThis.EXAM_API_BASE || (location.protocol === 'file:' ? 'http://localhost:3001' : '');
+
 const state = {
   students: [],
   rooms: [],
   assignments: [],
   roomSummaries: [],
   diagnostics: null,
+  secondShift: [],
+  locked: [],
   sessionId: null,
-  sessionDate: null
+  sessionDate: null,
+  constraints: null,
+  saved: false
 };
 
 const elements = {};
@@ -38,6 +48,7 @@ function initElements() {
   elements.downloadAllBtn = document.getElementById('download-all-pdf');
   elements.studentFileInput = document.getElementById('student-file');
   elements.studentTextArea = document.getElementById('student-text');
+  elements.skipBadRows = document.getElementById('skip-bad-rows');
   elements.uploadButton = document.getElementById('upload-btn');
   elements.pasteButton = document.getElementById('paste-btn');
   elements.sampleButton = document.getElementById('sample-btn');
@@ -46,10 +57,33 @@ function initElements() {
   elements.roomName = document.getElementById('room-name');
   elements.roomBenches = document.getElementById('room-benches');
   elements.roomSeats = document.getElementById('room-seats');
+  elements.roomColumns = document.getElementById('room-columns');
+  elements.roomOccupancy = document.getElementById('room-occupancy');
+  elements.roomTags = document.getElementById('room-tags');
+  elements.roomBuilding = document.getElementById('room-building');
+  elements.roomFloor = document.getElementById('room-floor');
+  elements.roomFileInput = document.getElementById('room-file');
+  elements.importRoomsButton = document.getElementById('import-rooms-btn');
+  elements.roomStatus = document.getElementById('room-status');
   elements.syncRooms = document.getElementById('sync-rooms');
   elements.scheduleButton = document.getElementById('schedule-btn');
+  elements.saveSessionButton = document.getElementById('save-session-btn');
   elements.sessionDate = document.getElementById('session-date');
   elements.seedInput = document.getElementById('seed');
+  elements.algorithmSelect = document.getElementById('algorithm');
+  elements.occupancySelect = document.getElementById('occupancy');
+  elements.fillStrategySelect = document.getElementById('fill-strategy');
+  elements.ruleFrontBack = document.getElementById('rule-front-back');
+  elements.ruleDiagonal = document.getElementById('rule-diagonal');
+  elements.ruleSide = document.getElementById('rule-side');
+  elements.ruleRollDistance = document.getElementById('rule-roll-distance');
+  elements.ruleOneBuilding = document.getElementById('rule-one-building');
+  elements.subjectTags = document.getElementById('subject-tags');
+  elements.stableMode = document.getElementById('stable-mode');
+  elements.signInForm = document.getElementById('sign-in-form');
+  elements.signInUsername = document.getElementById('sign-in-username');
+  elements.signInPassword = document.getElementById('sign-in-password');
+  elements.signInStatus = document.getElementById('sign-in-status');
 }
 
 function initTheme() {
@@ -72,20 +106,39 @@ function showStatus(el, message, type = 'success') {
   el.style.display = 'block';
 }
 
+// Room and student fields come from uploaded files; escape them before
+// they go into markup
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
 function hideStatus(el) {
   if (!el) return;
   el.textContent = '';
   el.style.display = 'none';
 }
 
+// Occupancy select values are pattern names, or a number of students per bench
+function parseOccupancy(value) {
+  if (!value) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+function sessionOccupancy() {
+  return parseOccupancy(elements.occupancySelect?.value) || 'full';
+}
+
+function roomCapacity(room) {
+  const schedulerEngine = globalThis.SchedulerLib;
+  if (!schedulerEngine) return room.num_benches * room.seats_per_bench;
+  return schedulerEngine.roomCapacity(schedulerEngine.normalizeRoom(room, sessionOccupancy()));
+}
+
 function renderMetrics() {
   if (!elements.metricStudents) return;
   elements.metricStudents.textContent = state.students.length;
   elements.metricRooms.textContent = state.rooms.length;
-  elements.metricCapacity.textContent = state.rooms.reduce(
-    (sum, room) => sum + room.num_benches * room.seats_per_bench,
-    0
-  );
+  elements.metricCapacity.textContent = state.rooms.reduce((sum, room) => sum + roomCapacity(room), 0);
 }
 
 function renderStudentSummary(subjectCounts) {
@@ -112,19 +165,23 @@ function renderRooms() {
   state.rooms.forEach(room => {
     const div = document.createElement('div');
     div.className = 'room-card';
-    const capacity = room.num_benches * room.seats_per_bench;
+    const capacity = roomCapacity(room);
     div.innerHTML = `
       <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:6px;">
-        <strong>${room.room_name}</strong>
-        <span class="pill">${room.room_id}</span>
+        <strong>${escapeHtml(room.room_name)}</strong>
+        <span class="pill">${escapeHtml(room.room_id)}</span>
       </div>
       <div style="font-size:0.95rem;">
-        <div>Benches: ${room.num_benches}</div>
-        <div>Seats / bench: ${room.seats_per_bench}</div>
+        <div>Benches: ${escapeHtml(room.num_benches)}</div>
+        <div>Seats / bench: ${escapeHtml(room.seats_per_bench)}</div>
+        <div>Layout: ${Math.ceil(room.num_benches / (room.bench_columns || 1))} rows × ${escapeHtml(room.bench_columns || 1)} columns</div>
+        <div>Occupancy: ${escapeHtml(room.occupancy ?? 'session default')}</div>
+        <div>Tags: ${escapeHtml((room.tags || []).join(', ') || 'none')}</div>
+        <div>Building: ${escapeHtml([room.building, room.floor && `floor ${room.floor}`].filter(Boolean).join(', ') || 'not set')}</div>
         <div><strong>Capacity:</strong> ${capacity}</div>
       </div>
       <div class="room-actions">
-        <button type="button" class="room-delete" data-remove-room="${room.room_id}">Remove</button>
+        <button type="button" class="room-delete" data-remove-room="${escapeHtml(room.room_id)}">Remove</button>
       </div>
     `;
     container.appendChild(div);
@@ -185,15 +242,150 @@ function renderDiagnostics(diagnostics) {
     li.textContent = diagnostics.feasible ? 'All constraints satisfied.' : 'Diagnostics available.';
     elements.diagnosticsList.appendChild(li);
   }
+  (diagnostics.explanation?.blocking_subjects || []).forEach(subject => {
+    const li = document.createElement('li');
+    li.className = 'diag-item error';
+    li.textContent = subject.message;
+    elements.diagnosticsList.appendChild(li);
+  });
+  (diagnostics.locked_violations || []).forEach(violation => {
+    const li = document.createElement('li');
+    li.className = 'diag-item warning';
+    li.textContent = `Locked seat of ${violation.roll}: ${violation.message}`;
+    elements.diagnosticsList.appendChild(li);
+  });
+  (diagnostics.soft_violations || []).forEach(violation => {
+    const li = document.createElement('li');
+    li.className = 'diag-item warning';
+    li.textContent = violation.message;
+    elements.diagnosticsList.appendChild(li);
+  });
+  (diagnostics.closest_rolls || []).forEach(pair => {
+    const li = document.createElement('li');
+    li.className = 'diag-item';
+    li.textContent = `Closest ${pair.subject} rolls in ${pair.room_name}: ${pair.rolls.join(' & ')}, ${pair.distance} bench(es) apart`;
+    elements.diagnosticsList.appendChild(li);
+  });
+  (diagnostics.suggestions || []).forEach((suggestion, idx) => {
+    const li = document.createElement('li');
+    li.className = 'diag-item suggestion';
+    li.textContent = suggestion.message || suggestion;
+    if (canApplySuggestion(suggestion)) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'secondary';
+      button.textContent = 'Apply';
+      button.setAttribute('data-suggestion', idx);
+      li.appendChild(button);
+    }
+    elements.diagnosticsList.appendChild(li);
+  });
+}
+
+const RULE_CHECKBOXES = {
+  no_same_subject_adjacent_front_back: 'ruleFrontBack',
+  no_same_subject_diagonal: 'ruleDiagonal',
+  no_same_subject_side: 'ruleSide',
+  roll_distance: 'ruleRollDistance'
+};
+
+function canApplySuggestion(suggestion) {
+  switch (suggestion.action) {
+    case 'add_benches':
+      return state.rooms.some(r => r.room_id === suggestion.room_id);
+    case 'add_room':
+      return true;
+    case 'split_subject':
+      return suggestion.fixes;
+    case 'relax_constraint':
+      return Boolean(elements[RULE_CHECKBOXES[suggestion.constraint]]);
+    case 'tag_room':
+      return state.rooms.some(r => r.room_id === suggestion.room_id);
+    default:
+      return false;
+  }
+}
+
+function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// One rule per line, e.g. "BCA: lab, !ac" - plain tags are required, "!" tags
+// are forbidden
+function parseSubjectTags(text) {
+  const subjects = {};
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const [subject, list] = line.split(':');
+    if (!subject?.trim() || list === undefined) return;
+    const tags = list.split(',').map(tag => tag.trim()).filter(Boolean);
+    subjects[subject.trim()] = {
+      required: parseTags(tags.filter(tag => !tag.startsWith('!'))),
+      forbidden: parseTags(tags.filter(tag => tag.startsWith('!')).map(tag => tag.slice(1)))
+    };
+  });
+  return subjects;
+}
+
+function nextRoomId() {
+  let n = state.rooms.length + 1;
+  while (state.rooms.some(r => r.room_id === `R${n}`)) n++;
+  return `R${n}`;
+}
+
+function applySuggestion(suggestion) {
+  switch (suggestion.action) {
+    case 'add_benches': {
+      const room = state.rooms.find(r => r.room_id === suggestion.room_id);
+      room.num_benches += suggestion.count;
+      break;
+    }
+    case 'add_room':
+      for (let i = 0; i < suggestion.count; i++) {
+        const roomId = nextRoomId();
+        state.rooms.push({
+          room_id: roomId,
+          room_name: `Room ${roomId.slice(1)}`,
+          num_benches: suggestion.num_benches,
+          seats_per_bench: suggestion.seats_per_bench,
+          bench_columns: 1
+        });
+      }
+      break;
+    case 'split_subject': {
+      const moving = new Set(suggestion.rolls);
+      state.secondShift = state.secondShift.concat(state.students.filter(s => moving.has(s.roll)));
+      state.students = state.students.filter(s => !moving.has(s.roll));
+      renderStudentSummary(computeSubjectCounts(state.students));
+      showStatus(elements.studentStatus, `${state.secondShift.length} students held for a second shift: ${state.secondShift.map(s => s.roll).join(', ')}`);
+      break;
+    }
+    case 'relax_constraint':
+      elements[RULE_CHECKBOXES[suggestion.constraint]].checked = false;
+      break;
+    case 'tag_room': {
+      const room = state.rooms.find(r => r.room_id === suggestion.room_id);
+      const tags = parseTags(room.tags).filter(tag => !suggestion.remove_tags.includes(tag));
+      room.tags = tags.concat(suggestion.add_tags.filter(tag => !tags.includes(tag)));
+      break;
+    }
+    default:
+      return;
+  }
+  renderRooms();
+  renderMetrics();
+  persistRooms();
+  runScheduler();
 }
 
 function renderResults(assignments, summaries) {
   if (!elements.resultsWrapper) return;
   elements.resultsWrapper.style.display = assignments.length ? 'block' : 'none';
   elements.assignmentBody.innerHTML = '';
-  assignments.forEach(a => {
+  assignments.forEach((a, idx) => {
     const tr = document.createElement('tr');
     tr.innerHTML = `
+      <td><input type="checkbox" data-lock="${idx}" ${isLocked(a) ? 'checked' : ''} /></td>
       <td>${a.room_name}</td>
       <td>#${a.bench_number}</td>
       <td>${a.position}</td>
@@ -204,7 +396,15 @@ function renderResults(assignments, summaries) {
     elements.assignmentBody.appendChild(tr);
   });
   elements.summaries.innerHTML = '';
+  let building;
   summaries.forEach(summary => {
+    if (summaries.some(s => s.building) && summary.building !== building) {
+      building = summary.building;
+      const heading = document.createElement('h3');
+      heading.style.flexBasis = '100%';
+      heading.textContent = building || 'No building';
+      elements.summaries.appendChild(heading);
+    }
     const div = document.createElement('div');
     div.className = 'room-card';
     const subjectsMarkup = summary.subjects
@@ -212,7 +412,7 @@ function renderResults(assignments, summaries) {
     div.innerHTML = `
       <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:6px;">
         <strong>${summary.room_name}</strong>
-        <span class="pill">Total: ${summary.total}</span>
+        <span class="pill">${summary.unused ? 'Unused' : `Total: ${summary.total}`}</span>
       </div>
       ${subjectsMarkup || '<div>No students assigned</div>'}
     `;
@@ -220,34 +420,34 @@ function renderResults(assignments, summaries) {
   });
 }
 
-function parseCsv(content) {
-  const lines = content.trim().split(/\r?\n/);
-  if (lines.length < 2) {
-    throw new Error('CSV must include headers and at least one data row.');
-  }
-  const headers = lines[0].split(',').map(h => h.trim());
-  const required = ['roll', 'name', 'subject'];
-  const missing = required.filter(key => !headers.includes(key));
-  if (missing.length) {
-    throw new Error(`Missing required columns: ${missing.join(', ')}`);
-  }
-  const records = [];
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    const values = line.split(',').map(v => v.trim());
-    const entry = {};
-    headers.forEach((header, idx) => {
-      entry[header] = values[idx] || '';
-    });
-    records.push({
-      roll: entry.roll,
-      name: entry.name,
-      subject: entry.subject,
-      preferred_room: entry.preferred_room || ''
+function isLocked(assignment) {
+  return state.locked.some(l => l.roll === assignment.student.roll);
+}
+
+// Locked seats stay where they are when the scheduler runs again
+function toggleLock(assignment, locked) {
+  state.locked = state.locked.filter(l => l.roll !== assignment.student.roll);
+  if (locked) {
+    state.locked.push({
+      room_id: assignment.room_id,
+      bench_number: assignment.bench_number,
+      position: assignment.position,
+      roll: assignment.student.roll
     });
   }
-  return records;
+}
+
+function parseCsv(content) {
+  const csv = globalThis.CsvLib;
+  if (!csv) {
+    throw new Error('CSV parser not loaded. Please refresh.');
+  }
+  return csv.parseStudentCsv(content);
+}
+
+function describeProblems(problems, limit = 5) {
+  const shown = problems.slice(0, limit).map(p => `line ${p.line}: ${p.message}`).join('; ');
+  return problems.length > limit ? `${shown}; and ${problems.length - limit} more` : shown;
 }
 
 function computeSubjectCounts(students) {
@@ -287,18 +487,59 @@ async function uploadStudents(source) {
     }
 
     showStatus(elements.studentStatus, 'Parsing CSV...');
-    const students = parseCsv(csvContent);
+    const { students, report } = parseCsv(csvContent);
+    if (report.errors.length && (!elements.skipBadRows?.checked || !students.length)) {
+      showStatus(elements.studentStatus, `Nothing imported. ${describeProblems(report.errors)}`, 'error');
+      return;
+    }
     state.students = students;
     localStorage.setItem(STORAGE_KEYS.students, JSON.stringify(students));
     renderStudentSummary(computeSubjectCounts(students));
     renderMetrics();
-    showStatus(elements.studentStatus, `Loaded ${students.length} students successfully.`);
+    const skipped = report.errors.length ? ` Skipped ${report.rejected} row(s): ${describeProblems(report.errors)}.` : '';
+    const warned = report.warnings.length ? ` Warnings: ${describeProblems(report.warnings)}.` : '';
+    showStatus(elements.studentStatus, `Loaded ${students.length} students.${skipped}${warned}`);
   } catch (error) {
     console.error(error);
     showStatus(elements.studentStatus, error.message || 'Failed to upload students.', 'error');
   }
 }
 
+async function importRooms(file) {
+  if (!file) {
+    showStatus(elements.roomStatus, 'Select a CSV file first.', 'error');
+    return;
+  }
+  try {
+    const csv = globalThis.CsvLib;
+    if (!csv) {
+      throw new Error('CSV parser not loaded. Please refresh.');
+    }
+    const { rooms, report } = csv.parseRoomCsv(await readFileAsText(file));
+    if (report.errors.length) {
+      showStatus(elements.roomStatus, `Nothing imported. ${describeProblems(report.errors)}`, 'error');
+      return;
+    }
+    rooms.forEach(room => {
+      const imported = { ...room, tags: parseTags(room.tags) };
+      ['campus', 'building', 'floor'].forEach(key => {
+        if (!imported[key]) delete imported[key];
+      });
+      const existingIndex = state.rooms.findIndex(r => r.room_id === room.room_id);
+      if (existingIndex >= 0) state.rooms[existingIndex] = imported;
+      else state.rooms.push(imported);
+    });
+    renderRooms();
+    renderMetrics();
+    persistRooms();
+    const warned = report.warnings.length ? ` Warnings: ${describeProblems(report.warnings)}.` : '';
+    showStatus(elements.roomStatus, `Imported ${rooms.length} room(s).${warned}`);
+  } catch (error) {
+    console.error(error);
+    showStatus(elements.roomStatus, error.message || 'Failed to import rooms.', 'error');
+  }
+}
+
 function persistRooms() {
   localStorage.setItem(STORAGE_KEYS.rooms, JSON.stringify(state.rooms));
   showStatus(elements.scheduleStatus, 'Rooms saved locally. This state will reload automatically.');
@@ -329,6 +570,8 @@ function loadFromStorage() {
       state.students = [];
     }
   }
+  const storedSubjectTags = localStorage.getItem(STORAGE_KEYS.subjectTags);
+  if (storedSubjectTags && elements.subjectTags) elements.subjectTags.value = storedSubjectTags;
   renderRooms();
   renderMetrics();
 }
@@ -352,8 +595,17 @@ function runScheduler() {
   const payload = {
     students: state.students,
     rooms: state.rooms,
-    constraints: { no_same_subject_bench: true }
+    constraints: {
+      no_same_subject_bench: true,
+      no_same_subject_adjacent_front_back: Boolean(elements.ruleFrontBack?.checked),
+      no_same_subject_diagonal: Boolean(elements.ruleDiagonal?.checked),
+      no_same_subject_side: Boolean(elements.ruleSide?.checked),
+      roll_distance: elements.ruleRollDistance?.checked ? { within: 1, min_benches: 2 } : false,
+      subject_building: Boolean(elements.ruleOneBuilding?.checked)
+    }
   };
+  const subjectTags = parseSubjectTags(elements.subjectTags?.value);
+  if (Object.keys(subjectTags).length) payload.constraints.subject_tags = { subjects: subjectTags };
 
   const sessionDate = elements.sessionDate.value;
   const seedVal = elements.seedInput.value;
@@ -362,9 +614,14 @@ function runScheduler() {
 
   showStatus(elements.scheduleStatus, 'Running scheduler...');
   const result = schedulerEngine.schedule(payload.students, payload.rooms, {
-    algorithm: 'greedy',
+    algorithm: elements.algorithmSelect?.value || 'greedy',
     constraints: payload.constraints,
-    seed: seedVal ? Number(seedVal) : null
+    occupancy: sessionOccupancy(),
+    fill_strategy: elements.fillStrategySelect?.value || 'round_robin',
+    seed: seedVal ? Number(seedVal) : null,
+    locked: state.locked.filter(l => state.students.some(s => s.roll === l.roll)
+      && state.rooms.some(r => r.room_id === l.room_id)),
+    baseline: elements.stableMode?.checked && state.assignments.length ? state.assignments : null
   });
 
   state.assignments = result.assignments || [];
@@ -372,6 +629,9 @@ function runScheduler() {
   state.diagnostics = result.diagnostics || null;
   state.sessionId = result.success ? `session_${Date.now()}` : null;
   state.sessionDate = sessionDate || new Date().toLocaleDateString('en-GB');
+  state.constraints = payload.constraints;
+  state.saved = false;
+  updateSaveControls();
 
   renderDiagnostics(state.diagnostics);
 
@@ -382,11 +642,73 @@ function runScheduler() {
     return;
   }
 
-  showStatus(elements.scheduleStatus, `Schedule ready for session ${state.sessionId}`);
+  const scoreNote = result.score ? ` (score ${result.score.total}, was ${result.score.initial_total})` : '';
+  const churnNote = result.churn ? `; ${result.churn.count} student(s) changed room or bench` : '';
+  showStatus(elements.scheduleStatus, `Schedule ready for session ${state.sessionId}${scoreNote}${churnNote}`);
   renderResults(state.assignments, state.roomSummaries);
   updatePdfControls();
 }
 
+// Runs stay local until saved, so re-runs do not each leave a session behind
+function updateSaveControls() {
+  if (!elements.saveSessionButton) return;
+  elements.saveSessionButton.disabled = !state.sessionId || state.saved;
+  elements.saveSessionButton.textContent = state.saved ? 'Saved' : 'Save session';
+}
+
+function apiHeaders() {
+  const token = localStorage.getItem(STORAGE_KEYS.token);
+  return token
+    ? { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }
+    : { 'Content-Type': 'application/json' };
+}
+
+async function signIn() {
+  try {
+    const res = await fetch(`${API_BASE}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: elements.signInUsername.value, password: elements.signInPassword.value })
+    });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+    localStorage.setItem(STORAGE_KEYS.token, body.token);
+    elements.signInPassword.value = '';
+    elements.signInStatus.textContent = `Signed in as ${body.user.username} (${body.user.role})`;
+  } catch (error) {
+    elements.signInStatus.textContent = `Sign in failed: ${error.message}`;
+  }
+}
+
+async function saveSession() {
+  const localId = state.sessionId;
+  if (!localId || state.saved) return;
+  elements.saveSessionButton.disabled = true;
+  try {
+    const res = await fetch(`${API_BASE}/api/sessions`, {
+      method: 'POST',
+      headers: apiHeaders(),
+      body: JSON.stringify({
+        date: state.sessionDate,
+        constraints: state.constraints,
+        rooms: state.rooms,
+        assignments: state.assignments,
+        diagnostics: state.diagnostics
+      })
+    });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+    if (state.sessionId !== localId) return;
+    state.sessionId = body.session_id;
+    state.saved = true;
+    showStatus(elements.scheduleStatus, `Schedule saved as session ${state.sessionId}`);
+  } catch (error) {
+    if (state.sessionId !== localId) return;
+    showStatus(elements.scheduleStatus, `Session ${localId} not saved: ${error.message}`, 'error');
+  }
+  updateSaveControls();
+}
+
 function openPrintableRoom(roomId) {
   if (!state.sessionId) {
     showStatus(elements.scheduleStatus, 'Run scheduler before downloading.', 'error');
@@ -535,10 +857,19 @@ function attachEventListeners() {
     updateThemeLabel(nextTheme);
   });
 
+  elements.signInForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    signIn();
+  });
+
   elements.uploadButton?.addEventListener('click', () => {
     uploadStudents({ type: 'file', file: elements.studentFileInput.files[0] });
   });
 
+  elements.importRoomsButton?.addEventListener('click', () => {
+    importRooms(elements.roomFileInput.files[0]);
+  });
+
   elements.pasteButton?.addEventListener('click', () => {
     uploadStudents({ type: 'text', text: elements.studentTextArea.value });
   });
@@ -560,8 +891,17 @@ function attachEventListeners() {
       room_id: elements.roomId.value.trim(),
       room_name: elements.roomName.value.trim(),
       num_benches: Number(elements.roomBenches.value),
-      seats_per_bench: Number(elements.roomSeats.value)
+      seats_per_bench: Number(elements.roomSeats.value),
+      bench_columns: Number(elements.roomColumns.value) || 1
     };
+    const occupancy = parseOccupancy(elements.roomOccupancy?.value);
+    if (occupancy !== undefined) room.occupancy = occupancy;
+    const tags = parseTags(elements.roomTags?.value);
+    if (tags.length) room.tags = tags;
+    const building = elements.roomBuilding?.value.trim();
+    if (building) room.building = building;
+    const floor = elements.roomFloor?.value.trim();
+    if (floor) room.floor = floor;
     if (!room.room_id || !room.room_name) {
       alert('Room ID and Room Name are required.');
       return;
@@ -578,10 +918,22 @@ function attachEventListeners() {
     e.target.reset();
     elements.roomBenches.value = 10;
     elements.roomSeats.value = 2;
+    elements.roomColumns.value = 1;
+    if (elements.roomOccupancy) elements.roomOccupancy.value = '';
+  });
+
+  elements.occupancySelect?.addEventListener('change', () => {
+    renderRooms();
+    renderMetrics();
+  });
+
+  elements.subjectTags?.addEventListener('change', () => {
+    localStorage.setItem(STORAGE_KEYS.subjectTags, elements.subjectTags.value);
   });
 
   elements.syncRooms?.addEventListener('click', persistRooms);
   elements.scheduleButton?.addEventListener('click', runScheduler);
+  elements.saveSessionButton?.addEventListener('click', saveSession);
 
   elements.roomsPreview?.addEventListener('click', (event) => {
     const target = event.target.closest('[data-remove-room]');
@@ -601,6 +953,19 @@ function attachEventListeners() {
   });
 
   elements.downloadAllBtn?.addEventListener('click', openPrintableAllRooms);
+
+  elements.assignmentBody?.addEventListener('change', (event) => {
+    const target = event.target.closest('[data-lock]');
+    const assignment = target && state.assignments[Number(target.getAttribute('data-lock'))];
+    if (assignment) toggleLock(assignment, target.checked);
+  });
+
+  elements.diagnosticsList?.addEventListener('click', (event) => {
+    const target = event.target.closest('[data-suggestion]');
+    const suggestions = state.diagnostics?.suggestions || [];
+    const suggestion = target && suggestions[Number(target.getAttribute('data-suggestion'))];
+    if (suggestion) applySuggestion(suggestion);
+  });
 }
 
 function init() {
@@ -0,0 +1,70 @@
+// auth.js - Password hashing, session tokens and roles for local accounts
+const crypto = require('crypto');
+
+// admin: everything; coordinator: scheduling and overrides; invigilator:
+// read-only, limited to the rooms they have duties in; student: own seat only
+const ROLES = ['admin', 'coordinator', 'invigilator', 'student'];
+
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/**
+ * Salted scrypt hash, stored as scrypt$<salt>$<hash>
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const key = await scrypt(String(password), salt);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+/**
+ * Problems with a new account's details, as messages
+ */
+function validateAccount({ username, password, role, staff_id, student_roll }, { partial = false } = {}) {
+  const errors = [];
+  if (!partial || username !== undefined) {
+    if (typeof username !== 'string' || !/^[A-Za-z0-9._@-]{3,64}$/.test(username)) {
+      errors.push('Username must be 3-64 letters, digits or . _ @ -');
+    }
+  }
+  if (!partial || password !== undefined) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+  if (!partial || role !== undefined) {
+    if (!ROLES.includes(role)) errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+    if (role === 'invigilator' && !staff_id) errors.push('Invigilator accounts need a staff_id');
+    if (role === 'student' && !student_roll) errors.push('Student accounts need a student_roll');
+  }
+  return errors;
+}
+
+/**
+ * A new bearer token and the hash it is stored under; the token itself is
+ * only ever given to the client
+ */
+function newToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = { ROLES, hashPassword, verifyPassword, validateAccount, newToken, hashToken };
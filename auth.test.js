@@ -0,0 +1,91 @@
+// auth.test.js - Unit tests for password hashing, tokens and account checks
+const { hashPassword, verifyPassword, validateAccount, newToken, hashToken } = require('./auth');
+
+// Simple test framework
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// Hashing is asynchronous, so tests may return a promise
+async function runTest(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    return false;
+  }
+}
+
+async function main() {
+  console.log('\n=== Running Auth Tests ===\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  // Test 1: A hashed password verifies against itself
+  if (await runTest('Password hash round-trip', async () => {
+    const stored = await hashPassword('correct horse battery');
+    assert(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/.test(stored), 'Hashes are stored as scrypt$<salt>$<hash>');
+    assert(!stored.includes('correct horse battery'), 'The password itself is not stored');
+    assert(await verifyPassword('correct horse battery', stored), 'The right password verifies');
+    assert(stored !== await hashPassword('correct horse battery'), 'Every hash gets its own salt');
+  })) passed++; else failed++;
+
+  // Test 2: Wrong passwords and malformed hashes are rejected
+  if (await runTest('Wrong password rejected', async () => {
+    const stored = await hashPassword('correct horse battery');
+    assert(!(await verifyPassword('correct horse battery!', stored)), 'A different password fails');
+    assert(!(await verifyPassword('', stored)), 'An empty password fails');
+    assert(!(await verifyPassword('correct horse battery', 'plain-text')), 'A hash in an unknown format fails');
+    assert(!(await verifyPassword('correct horse battery', null)), 'A missing hash fails');
+  })) passed++; else failed++;
+
+  // Test 3: Invigilators need a staff_id and students a roll
+  if (await runTest('Role-specific account fields', () => {
+    const errors = validateAccount({ username: 'student1', password: 'long enough', role: 'student' });
+    assertEqual(errors.length, 1, 'A student account without student_roll has one problem');
+    assert(errors[0].includes('student_roll'), 'The problem names student_roll');
+    assertEqual(validateAccount({ username: 'student1', password: 'long enough', role: 'student', student_roll: '1043-1' }).length, 0,
+      'A student account with its roll is valid');
+    assert(validateAccount({ username: 'inv1', password: 'long enough', role: 'invigilator' })[0].includes('staff_id'),
+      'An invigilator account needs a staff_id');
+  })) passed++; else failed++;
+
+  // Test 4: Only the known roles are accepted
+  if (await runTest('Unknown role rejected', () => {
+    const errors = validateAccount({ username: 'root', password: 'long enough', role: 'superuser' });
+    assertEqual(errors.length, 1, 'An unknown role has one problem');
+    assert(errors[0].startsWith('Role must be one of'), 'The problem lists the roles');
+    assertEqual(validateAccount({ role: 'superuser' }, { partial: true }).length, 1, 'Partial updates still check the role');
+    assertEqual(validateAccount({ username: 'ab', password: 'short', role: 'admin' }).length, 2, 'Short usernames and passwords are rejected');
+  })) passed++; else failed++;
+
+  // Test 5: Tokens are stored only as their SHA-256
+  if (await runTest('Token hashing', () => {
+    const { token, hash } = newToken();
+    assertEqual(token.length, 64, 'Tokens are 32 random bytes in hex');
+    assertEqual(hash, hashToken(token), 'The stored hash matches the token');
+    assert(hash !== token, 'The token itself is not stored');
+    assert(hashToken(newToken().token) !== hash, 'Every token is different');
+  })) passed++; else failed++;
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total: ${passed + failed}\n`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
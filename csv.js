@@ -0,0 +1,281 @@
+// csv.js - RFC 4180 CSV parsing shared by the server and the browser app
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Canonical student columns and the header spellings accepted for them.
+// Headers are compared lowercased with everything but letters and digits removed.
+const STUDENT_COLUMNS = {
+  roll: ['roll', 'rollno', 'rollnumber', 'registrationno', 'registrationnumber', 'enrollmentno', 'enrolmentno'],
+  name: ['name', 'studentname', 'fullname'],
+  subject: ['subject', 'course', 'programme', 'program', 'paper'],
+  preferred_room: ['preferredroom', 'room']
+};
+
+const ROOM_COLUMNS = {
+  room_id: ['roomid', 'roomno', 'roomnumber', 'id'],
+  room_name: ['roomname', 'name'],
+  num_benches: ['numbenches', 'benches'],
+  seats_per_bench: ['seatsperbench', 'seats'],
+  bench_rows: ['benchrows', 'rows'],
+  bench_columns: ['benchcolumns', 'columns'],
+  tags: ['tags', 'features'],
+  campus: ['campus', 'site'],
+  building: ['building', 'buildingname', 'block'],
+  floor: ['floor', 'level', 'storey']
+};
+
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Pick the delimiter of a CSV text: the candidate found most often outside
+ * quotes on its first line, comma when there is none
+ */
+function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map(d => [d, 0]));
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+  return DELIMITERS.reduce((best, d) => (counts.get(d) > counts.get(best) ? d : best), ',');
+}
+
+/**
+ * Split CSV text into records of fields. Quoted fields may hold delimiters,
+ * line breaks and doubled quotes; lines end in \r\n, \n or \r; a UTF-8 BOM is
+ * dropped. Each record carries the line it starts on. Blank lines are skipped.
+ */
+function parseCsv(text, options = {}) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+  let touched = false;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (touched || fields.length > 1 || fields[0] !== '') rows.push({ line: startLine, fields });
+    fields = [];
+    touched = false;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      touched = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      startLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length || touched) endRow();
+  if (quoted) {
+    return { delimiter, rows, error: `Unclosed quote in the record starting on line ${startLine}` };
+  }
+  return { delimiter, rows, error: null };
+}
+
+/**
+ * Write records of fields as CSV text, the way parseCsv reads them back.
+ * Fields holding the delimiter, a quote or a line break are quoted with
+ * quotes doubled; null and undefined are empty; records end in \r\n.
+ * With escapeFormulas, text starting with =, +, -, @, a tab or a carriage
+ * return gets a leading ' so spreadsheets show it rather than run it.
+ */
+function formatCsv(rows, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const field = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (options.escapeFormulas && typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => `${row.map(field).join(delimiter)}\r\n`).join('');
+}
+
+/**
+ * Read a CSV with a header row into records keyed by canonical column name.
+ * `columns` maps each canonical name to its accepted header spellings and
+ * `mapping` names the header to use for a column outright; other headers are
+ * kept under their own (trimmed) name. Values are trimmed. Rows already split
+ * elsewhere (e.g. from a spreadsheet) can be passed instead of text.
+ */
+function readRecords(input, options = {}) {
+  const { required = [], mapping = {} } = options;
+  const columns = { ...options.columns };
+  Object.keys(mapping).forEach(name => {
+    columns[name] = [headerKey(mapping[name])];
+  });
+  const { delimiter, rows, error } = Array.isArray(input)
+    ? { delimiter: null, rows: input, error: null }
+    : parseCsv(input, options);
+  const report = { errors: [], warnings: [] };
+  if (error) report.errors.push({ line: rows.length ? rows[rows.length - 1].line : 1, message: error });
+  if (!rows.length) {
+    report.errors.push({ line: 1, message: 'The file is empty' });
+    return { delimiter, headers: [], records: [], report };
+  }
+
+  const aliases = new Map();
+  Object.keys(columns).forEach(name => columns[name].forEach(alias => aliases.set(alias, name)));
+  const [head, ...body] = rows;
+  const headers = head.fields.map(h => h.trim()).map(h => aliases.get(headerKey(h)) || h);
+  const missing = required.filter(name => !headers.includes(name));
+  if (missing.length) {
+    report.errors.push({ line: head.line, message: `Missing required columns: ${missing.join(', ')}` });
+    return { delimiter, headers, records: [], report };
+  }
+  headers.forEach((header, idx) => {
+    if (headers.indexOf(header) !== idx) report.warnings.push({ line: head.line, message: `Column ${header} appears twice; the first one is used` });
+  });
+
+  // Spreadsheets leave out trailing empty cells, so only CSV rows are held to the header's width
+  const records = body.map(row => {
+    if (!Array.isArray(input) && row.fields.length !== headers.length) {
+      report.warnings.push({ line: row.line, message: `Expected ${headers.length} fields, found ${row.fields.length}` });
+    }
+    const values = {};
+    headers.forEach((header, idx) => {
+      if (!(header in values)) values[header] = (row.fields[idx] || '').trim();
+    });
+    return { line: row.line, values };
+  });
+  return { delimiter, headers, records, report };
+}
+
+/**
+ * Parse a student roster. Rows without a roll or subject, and repeats of a
+ * roll already seen, are reported as errors and left out; a missing name is
+ * a warning. The report lists every problem with its line number.
+ */
+function parseStudentCsv(input, options = {}) {
+  const { delimiter, headers, records, report } = readRecords(input, {
+    ...options,
+    columns: STUDENT_COLUMNS,
+    required: ['roll', 'name', 'subject']
+  });
+  if (!records.length && !report.errors.length) {
+    report.errors.push({ line: 2, message: 'No student rows after the header' });
+  }
+  const students = [];
+  const seen = new Map();
+  let rejected = 0;
+  records.forEach(({ line, values }) => {
+    const problems = [];
+    if (!values.roll) problems.push('Missing roll');
+    if (!values.subject) problems.push('Empty subject');
+    if (values.roll && seen.has(values.roll)) problems.push(`Duplicate roll ${values.roll} (first on line ${seen.get(values.roll)})`);
+    if (problems.length) {
+      rejected++;
+      problems.forEach(message => report.errors.push({ line, roll: values.roll || null, message }));
+      return;
+    }
+    if (!values.name) report.warnings.push({ line, roll: values.roll, message: 'Missing name' });
+    seen.set(values.roll, line);
+    students.push({
+      roll: values.roll,
+      name: values.name,
+      subject: values.subject,
+      preferred_room: values.preferred_room || ''
+    });
+  });
+  report.total_rows = records.length;
+  report.accepted = students.length;
+  report.rejected = rejected;
+  return { students, headers, delimiter, report };
+}
+
+/**
+ * Parse a room list. Rows without a room_id, repeats of a room_id and rows
+ * whose bench counts are not positive whole numbers are errors and left out.
+ */
+function parseRoomCsv(input, options = {}) {
+  const { delimiter, headers, records, report } = readRecords(input, {
+    ...options,
+    columns: ROOM_COLUMNS,
+    required: ['room_id']
+  });
+  if (!report.errors.length && !headers.includes('num_benches') && !headers.includes('bench_rows')) {
+    report.errors.push({ line: 1, message: 'Missing required columns: num_benches or bench_rows' });
+    return { rooms: [], headers, delimiter, report };
+  }
+  const rooms = [];
+  const seen = new Map();
+  let rejected = 0;
+  records.forEach(({ line, values }) => {
+    const problems = [];
+    if (!values.room_id) problems.push('Missing room_id');
+    if (values.room_id && seen.has(values.room_id)) problems.push(`Duplicate room_id ${values.room_id} (first on line ${seen.get(values.room_id)})`);
+    const numbers = {};
+    ['num_benches', 'seats_per_bench', 'bench_rows', 'bench_columns'].forEach(column => {
+      if (!values[column]) return;
+      if (!/^\d+$/.test(values[column]) || Number(values[column]) < 1) problems.push(`${column} must be a whole number above 0`);
+      else numbers[column] = Number(values[column]);
+    });
+    if (!numbers.num_benches && !numbers.bench_rows && !problems.length) problems.push('Give num_benches or bench_rows');
+    if (problems.length) {
+      rejected++;
+      problems.forEach(message => report.errors.push({ line, room_id: values.room_id || null, message }));
+      return;
+    }
+    seen.set(values.room_id, line);
+    rooms.push({
+      room_id: values.room_id,
+      room_name: values.room_name || values.room_id,
+      seats_per_bench: 2,
+      ...numbers,
+      tags: values.tags || '',
+      campus: values.campus || '',
+      building: values.building || '',
+      floor: values.floor || ''
+    });
+  });
+  report.total_rows = records.length;
+  report.accepted = rooms.length;
+  report.rejected = rejected;
+  return { rooms, headers, delimiter, report };
+}
+
+const csvApi = {
+  parseCsv,
+  formatCsv,
+  readRecords,
+  parseStudentCsv,
+  parseRoomCsv,
+  detectDelimiter,
+  STUDENT_COLUMNS,
+  ROOM_COLUMNS
+};
+
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = csvApi;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.CsvLib = csvApi;
+}
@@ -0,0 +1,135 @@
+// csv.test.js - Unit tests for the CSV parser
+const { parseCsv, formatCsv, readRecords, parseStudentCsv, parseRoomCsv, detectDelimiter } = require('./csv');
+
+// Simple test framework
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function runTest(name, testFn) {
+  try {
+    testFn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    return false;
+  }
+}
+
+console.log('\n=== Running CSV Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+// Test 1: Quoted fields keep delimiters, quotes and line breaks
+if (runTest('Quoted fields', () => {
+  const { rows, error } = parseCsv('roll,name\r\n1,"Kumar, Ajay"\r\n2,"Say ""hi""\nthere"\r\n3,Plain\r\n');
+  assertEqual(error, null, 'Well-formed input has no error');
+  assertEqual(rows.length, 4, 'Header and three records');
+  assertEqual(rows[1].fields[1], 'Kumar, Ajay', 'Comma inside quotes');
+  assertEqual(rows[2].fields[1], 'Say "hi"\nthere', 'Doubled quotes and line break inside quotes');
+  assertEqual(rows[3].line, 5, 'Line numbers count the break inside quotes');
+  assert(rows.every(row => row.fields.every(f => !f.includes('\r'))), 'No stray carriage returns');
+})) passed++; else failed++;
+
+// Test 2: Delimiter sniffing and BOM
+if (runTest('Delimiter sniffing and BOM', () => {
+  assertEqual(detectDelimiter('roll;name;subject\n1;"a,b";BCA'), ';', 'Semicolons from Excel');
+  assertEqual(detectDelimiter('roll\tname\tsubject'), '\t', 'Tabs');
+  assertEqual(detectDelimiter('"a;b",c'), ',', 'Delimiters inside quotes are ignored');
+  const { headers } = readRecords('\uFEFFroll;name\n1;A');
+  assertEqual(headers[0], 'roll', 'The BOM is not part of the first header');
+  assert(parseCsv('a,"b\n1,2').error, 'An unclosed quote is reported');
+})) passed++; else failed++;
+
+// Test 3: Header aliases map onto the student columns
+if (runTest('Header aliases', () => {
+  const { students, report } = parseStudentCsv('Roll No,Student Name,Course,Preferred Room\n1,Alice,BCA,R1\n');
+  assertEqual(report.errors.length, 0, 'Aliased headers are accepted');
+  assertEqual(students[0].roll, '1', 'Roll No is the roll');
+  assertEqual(students[0].name, 'Alice', 'Student Name is the name');
+  assertEqual(students[0].subject, 'BCA', 'Course is the subject');
+  assertEqual(students[0].preferred_room, 'R1', 'Preferred Room is the preferred room');
+  const missing = parseStudentCsv('roll,name\n1,A\n');
+  assert(missing.report.errors[0].message.includes('subject'), 'A missing column is named');
+  assertEqual(missing.students.length, 0, 'Nothing is read without the required columns');
+})) passed++; else failed++;
+
+// Test 4: Row-level report with line numbers
+if (runTest('Row report', () => {
+  const text = 'roll,name,subject\n1,A,BCA\n,B,BCA\n1,C,BBA\n2,D,\n3,,BBA\n\n4,E,BCA,extra\n';
+  const { students, report } = parseStudentCsv(text);
+  assertEqual(students.map(s => s.roll).join(','), '1,3,4', 'Only valid rows are kept');
+  assertEqual(report.rejected, 3, 'Three rows rejected');
+  const at = line => report.errors.find(e => e.line === line);
+  assert(at(3) && at(3).message === 'Missing roll', 'Missing roll on line 3');
+  assert(at(4) && at(4).message.startsWith('Duplicate roll 1'), 'Duplicate roll on line 4');
+  assert(at(5) && at(5).message === 'Empty subject', 'Empty subject on line 5');
+  assert(report.warnings.some(w => w.line === 6 && w.message === 'Missing name'), 'Missing name is a warning');
+  assert(report.warnings.some(w => w.line === 8), 'Extra fields are a warning');
+  assert(parseStudentCsv('roll,name,subject\n').report.errors.length > 0, 'A header without rows is an error');
+})) passed++; else failed++;
+
+// Test 5: Column mapping and rows split elsewhere
+if (runTest('Column mapping and pre-split rows', () => {
+  const rows = [
+    { line: 1, fields: ['Reg', 'Full', 'Paper'] },
+    { line: 3, fields: ['7', 'G'] }
+  ];
+  const { students, report } = parseStudentCsv(rows, { mapping: { roll: 'Reg', name: 'Full' } });
+  assertEqual(students.length, 0, 'The row without a paper is rejected');
+  assertEqual(report.errors[0].line, 3, 'Spreadsheet row numbers are kept');
+  assertEqual(report.warnings.length, 0, 'Short spreadsheet rows are not a warning');
+})) passed++; else failed++;
+
+// Test 6: Room lists
+if (runTest('Room report', () => {
+  const { rooms, report } = parseRoomCsv('Room No,Name,Benches,Seats,Tags\n101,Hall,20,3,lab;ac\n101,Again,2,2,\n102,,abc,2,\n103,,,2,\n');
+  assertEqual(rooms.length, 1, 'Only the first room is valid');
+  assertEqual(rooms[0].num_benches, 20, 'Benches are numbers');
+  assertEqual(rooms[0].seats_per_bench, 3, 'Seats is an alias');
+  assert(report.errors.some(e => e.line === 3 && e.message.startsWith('Duplicate room_id')), 'Duplicate room on line 3');
+  assert(report.errors.some(e => e.line === 4 && e.message.includes('whole number')), 'Bad bench count on line 4');
+  assert(report.errors.some(e => e.line === 5), 'No capacity on line 5');
+  const placed = parseRoomCsv('Room No,Benches,Campus,Block,Level\n201,10,North,Main,2\n').rooms[0];
+  assertEqual(`${placed.campus}/${placed.building}/${placed.floor}`, 'North/Main/2', 'Block and Level place the room');
+})) passed++; else failed++;
+
+// Test 7: Written CSV reads back the same
+if (runTest('Writing CSV', () => {
+  const rows = [['roll', 'name', 'note'], ['1', 'Kumar, Ajay', 'Said "hi"\nthen left'], ['2', null, 3]];
+  const text = formatCsv(rows);
+  assert(text.endsWith('\r\n'), 'Records end in CRLF');
+  assert(text.includes('"Kumar, Ajay"'), 'Fields with the delimiter are quoted');
+  const back = parseCsv(text).rows.map(row => row.fields);
+  assertEqual(JSON.stringify(back), JSON.stringify([['roll', 'name', 'note'], ['1', 'Kumar, Ajay', 'Said "hi"\nthen left'], ['2', '', '3']]), 'Round trip');
+  assertEqual(formatCsv([['a;b', 'c']], { delimiter: ';' }), '"a;b";c\r\n', 'Other delimiters are quoted too');
+})) passed++; else failed++;
+
+// Test 8: Text a spreadsheet would run as a formula is escaped on request
+if (runTest('Escaping formulas', () => {
+  const rows = [['=HYPERLINK("http://x","y")', '+1', '-2', '@SUM(A1)', 'Ajay', -3, '1043-1']];
+  const text = formatCsv(rows, { escapeFormulas: true });
+  const back = parseCsv(text).rows[0].fields;
+  assertEqual(back[0], '\'=HYPERLINK("http://x","y")', 'Leading = is escaped');
+  assertEqual(back.slice(1, 4).join(','), "'+1,'-2,'@SUM(A1)", 'Leading +, - and @ are escaped');
+  assertEqual(back.slice(4).join(','), 'Ajay,-3,1043-1', 'Plain text and numbers are left alone');
+  assertEqual(formatCsv([['=1+1']]), '=1+1\r\n', 'Nothing is escaped unless asked');
+})) passed++; else failed++;
+
+console.log(`\n=== Test Results ===`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import { Upload, Calendar, Users, Building2, Download, AlertCircle, CheckCircle, Settings } from 'lucide-react';
 
-const API_BASE = 'http://localhost:3001/api';
+// The dev server proxies /api to the backend (see "proxy" in package.json)
+const API_BASE = '/api';
+const TOKEN_KEY = 'exam_token';
 
 export default function ExamSeatingApp() {
   const [step, setStep] = useState('upload'); // upload, configure, preview, print
@@ -11,6 +13,50 @@ export default function ExamSeatingApp() {
   const [examDate, setExamDate] = useState(new Date().toLocaleDateString('en-GB'));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [printSheet, setPrintSheet] = useState(null);
+
+  // Every API call but sign-in needs the bearer token; a 401 signs out
+  const apiFetch = async (path, options = {}) => {
+    const response = await fetch(`${API_BASE}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` },
+    });
+    if (response.status === 401) {
+      localStorage.removeItem(TOKEN_KEY);
+      setToken(null);
+      throw new Error('Your sign-in has expired; sign in again');
+    }
+    return response;
+  };
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        localStorage.setItem(TOKEN_KEY, data.token);
+        setToken(data.token);
+        setCredentials({ username: '', password: '' });
+      } else {
+        setError(data.error || 'Sign in failed');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleStudentUpload = async (e) => {
     const file = e.target.files[0];
@@ -23,7 +69,7 @@ export default function ExamSeatingApp() {
     formData.append('file', file);
 
     try {
-      const response = await fetch(`${API_BASE}/upload-students`, {
+      const response = await apiFetch('/upload-students', {
         method: 'POST',
         body: formData,
       });
@@ -67,14 +113,14 @@ export default function ExamSeatingApp() {
 
     try {
       // Save rooms first
-      await fetch(`${API_BASE}/rooms`, {
+      await apiFetch('/rooms', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ rooms }),
       });
 
       // Run scheduler
-      const response = await fetch(`${API_BASE}/schedule`, {
+      const response = await apiFetch('/schedule', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -101,9 +147,19 @@ export default function ExamSeatingApp() {
     }
   };
 
-  const handlePrintRoom = (roomId) => {
-    const url = `${API_BASE}/room/${roomId}/print?session_id=${scheduleResult.session_id}`;
-    window.open(url, '_blank');
+  // The print page needs the token too, so it is fetched and shown in a
+  // sandboxed frame, which cannot reach this page or its stored token
+  const handlePrintRoom = async (roomId) => {
+    setError(null);
+    try {
+      const response = await apiFetch(`/room/${roomId}/print?session_id=${scheduleResult.session_id}`);
+      if (!response.ok) {
+        throw new Error((await response.json()).error || 'Failed to load the room sheet');
+      }
+      setPrintSheet({ roomId, html: await response.text() });
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
   return (
@@ -154,8 +210,44 @@ export default function ExamSeatingApp() {
           </div>
         )}
 
+        {/* Sign In */}
+        {!token && (
+          <div className="bg-white rounded-lg shadow-sm p-8 max-w-md">
+            <h2 className="text-2xl font-semibold mb-6">Sign In</h2>
+            <form onSubmit={handleSignIn} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+                <input
+                  type="text"
+                  autoComplete="username"
+                  value={credentials.username}
+                  onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={credentials.password}
+                  onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {loading ? 'Signing in...' : 'Sign In'}
+              </button>
+            </form>
+          </div>
+        )}
+
         {/* Upload Step */}
-        {step === 'upload' && (
+        {token && step === 'upload' && (
           <div className="bg-white rounded-lg shadow-sm p-8">
             <h2 className="text-2xl font-semibold mb-6">Upload Student List</h2>
             
@@ -210,7 +302,7 @@ export default function ExamSeatingApp() {
         )}
 
         {/* Configure Step */}
-        {step === 'configure' && (
+        {token && step === 'configure' && (
           <div className="space-y-6">
             <div className="bg-white rounded-lg shadow-sm p-8">
               <h2 className="text-2xl font-semibold mb-6">Configure Exam Details</h2>
@@ -332,7 +424,7 @@ export default function ExamSeatingApp() {
         )}
 
         {/* Preview Step */}
-        {step === 'preview' && scheduleResult && (
+        {token && step === 'preview' && scheduleResult && (
           <div className="space-y-6">
             <div className="bg-white rounded-lg shadow-sm p-8">
               <div className="flex justify-between items-center mb-6">
@@ -343,6 +435,26 @@ export default function ExamSeatingApp() {
                 </div>
               </div>
 
+              {printSheet && (
+                <div className="mb-6 border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold">Room Sheet: {printSheet.roomId}</h3>
+                    <button
+                      onClick={() => setPrintSheet(null)}
+                      className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                    >
+                      Close
+                    </button>
+                  </div>
+                  <iframe
+                    title={`Room sheet ${printSheet.roomId}`}
+                    sandbox="allow-scripts allow-modals"
+                    srcDoc={`${printSheet.html}<script>window.print()</script>`}
+                    className="w-full h-96 border rounded"
+                  />
+                </div>
+              )}
+
               <div className="grid grid-cols-1 gap-6">
                 {scheduleResult.room_summaries.map((summary) => (
                   <div key={summary.room_id} className="border border-gray-200 rounded-lg p-6">
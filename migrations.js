@@ -0,0 +1,238 @@
+// migrations.js - Versioned database schema
+//
+// Each migration moves the schema up one version. The version a database is
+// at lives in SQLite's `PRAGMA user_version`; on startup every migration above
+// it runs in order, each in its own transaction. Never edit a migration that
+// has shipped - add a new one (e.g. an ALTER TABLE ... ADD COLUMN) instead.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    up: `
+      CREATE TABLE IF NOT EXISTS students (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        roll TEXT UNIQUE,
+        name TEXT,
+        subject TEXT,
+        preferred_room TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS rooms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT UNIQUE,
+        room_name TEXT,
+        num_benches INTEGER,
+        seats_per_bench INTEGER,
+        bench_rows INTEGER,
+        bench_columns INTEGER,
+        tags TEXT,
+        available INTEGER DEFAULT 1
+      );
+
+      -- Room tags a subject needs or must avoid, both stored ';'-separated
+      CREATE TABLE IF NOT EXISTS subject_rules (
+        subject TEXT PRIMARY KEY,
+        required_tags TEXT,
+        forbidden_tags TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT,
+        room_id TEXT,
+        bench_number INTEGER,
+        position TEXT,
+        student_roll TEXT,
+        locked INTEGER DEFAULT 0,
+        slot_id INTEGER,
+        paper_id INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        date TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        constraints TEXT
+      );
+
+      -- Timetable: a session holds dated/shifted slots, each with its papers
+      CREATE TABLE IF NOT EXISTS slots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT,
+        date TEXT,
+        shift TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS papers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slot_id INTEGER,
+        subject TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS paper_students (
+        paper_id INTEGER,
+        student_roll TEXT,
+        PRIMARY KEY (paper_id, student_roll)
+      );
+
+      -- Invigilators: subjects they teach are stored ';'-separated
+      CREATE TABLE IF NOT EXISTS invigilators (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        staff_id TEXT UNIQUE,
+        name TEXT,
+        subjects TEXT,
+        email TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS invigilator_availability (
+        staff_id TEXT,
+        date TEXT,
+        shift TEXT DEFAULT '',
+        available INTEGER DEFAULT 1,
+        PRIMARY KEY (staff_id, date, shift)
+      );
+
+      CREATE TABLE IF NOT EXISTS duties (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT,
+        slot_id INTEGER,
+        room_id TEXT,
+        staff_id TEXT
+      );
+    `
+  },
+  {
+    version: 2,
+    description: 'Session titles, draft status, stored diagnostics and clone origin',
+    up: `
+      ALTER TABLE sessions ADD COLUMN title TEXT;
+      ALTER TABLE sessions ADD COLUMN status TEXT DEFAULT 'final';
+      ALTER TABLE sessions ADD COLUMN diagnostics TEXT;
+      ALTER TABLE sessions ADD COLUMN cloned_from TEXT;
+    `
+  },
+  {
+    version: 3,
+    description: 'Append-only audit log of seat changes',
+    up: `
+      -- One row per change; undo/redo rows name the change they revert
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT,
+        action TEXT,
+        actor TEXT,
+        reason TEXT,
+        reverts INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Seats before and after a change as JSON, NULL when unseated
+      CREATE TABLE audit_seats (
+        change_id INTEGER,
+        student_roll TEXT,
+        before TEXT,
+        after TEXT,
+        PRIMARY KEY (change_id, student_roll)
+      );
+
+      CREATE INDEX audit_log_session ON audit_log (session_id);
+    `
+  },
+  {
+    version: 4,
+    description: 'Local user accounts and session tokens',
+    up: `
+      -- Invigilators are tied to their staff_id, students to their roll
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE,
+        password_hash TEXT,
+        role TEXT,
+        staff_id TEXT,
+        student_roll TEXT,
+        active INTEGER DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Only a SHA-256 of each bearer token is kept
+      CREATE TABLE auth_tokens (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP
+      );
+    `
+  },
+  {
+    version: 5,
+    description: 'Campus, building and floor of each room',
+    up: `
+      ALTER TABLE rooms ADD COLUMN campus TEXT;
+      ALTER TABLE rooms ADD COLUMN building TEXT;
+      ALTER TABLE rooms ADD COLUMN floor TEXT;
+    `
+  },
+  {
+    version: 6,
+    description: 'Per-session room unavailability',
+    up: `
+      -- Rooms evacuated from a session; change_id is the relocate change in
+      -- audit_log, so undoing it can give the room back
+      CREATE TABLE session_unavailable_rooms (
+        session_id TEXT,
+        room_id TEXT,
+        change_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, room_id)
+      );
+
+      -- rooms.available was set for every session at once and is no longer read
+      UPDATE rooms SET available = 1;
+    `
+  }
+];
+
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Schema version a database is at (0 for a new database)
+ */
+function schemaVersion(db) {
+  return new Promise((resolve, reject) => {
+    db.get('PRAGMA user_version', (err, row) => (err ? reject(err) : resolve(row.user_version)));
+  });
+}
+
+/**
+ * Bring a database up to the latest schema version and resolve with it.
+ * Refuses to touch a database written by a newer version of the server.
+ */
+async function migrate(db, migrations = MIGRATIONS) {
+  migrations.forEach((migration, idx) => {
+    if (migration.version !== idx + 1) {
+      throw new Error(`Migration versions must run 1, 2, 3...; found ${migration.version} at position ${idx + 1}`);
+    }
+  });
+  const current = await schemaVersion(db);
+  const latest = migrations.length;
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than this server supports (${latest})`);
+  }
+
+  for (const migration of migrations.slice(current)) {
+    try {
+      await exec(db, `BEGIN TRANSACTION;\n${migration.up}\nPRAGMA user_version = ${migration.version};\nCOMMIT;`);
+    } catch (error) {
+      await exec(db, 'ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+    }
+  }
+  return schemaVersion(db);
+}
+
+module.exports = { MIGRATIONS, migrate, schemaVersion };
@@ -10,9 +10,13 @@ class SchedulerError extends Error {
 /**
  * Greedy pairing algorithm - pairs students ensuring no same subject on bench
  */
-function greedyPairScheduler(students, rooms, constraints = {}) {
+function greedyPairScheduler(students, rooms, constraints = DEFAULT_CONSTRAINTS, options = {}) {
+  const { fill_strategy = 'round_robin' } = options;
   const assignments = [];
   const diagnostics = { feasible: true, conflicts: [], suggestions: [] };
+  const active = resolveConstraints(constraints);
+  const layout = createLayout(rooms);
+  const rollRule = active.find(c => c.name === 'roll_distance');
   
   // Group students by subject
   const subjectGroups = {};
@@ -22,33 +26,41 @@ function greedyPairScheduler(students, rooms, constraints = {}) {
   });
   
   // Calculate total capacity
-  const totalCapacity = rooms.reduce((sum, r) => sum + r.num_benches * r.seats_per_bench, 0);
+  const totalCapacity = rooms.reduce((sum, r) => sum + usableSeats(active, r), 0);
   if (students.length > totalCapacity) {
     diagnostics.feasible = false;
-    diagnostics.suggestions.push(`Not enough capacity. Need ${students.length} seats but have ${totalCapacity}.`);
+    diagnostics.conflicts.push({
+      type: 'capacity',
+      message: `Not enough capacity. Need ${students.length} seats but have ${totalCapacity}.`
+    });
     return { success: false, assignments: [], diagnostics, room_summaries: [] };
   }
   
-  // Check feasibility: max subject count should not exceed (total_seats + 1) / 2 for bench constraint
+  // Check feasibility: under the bench constraint every student of a subject
+  // needs a bench of their own
   const subjects = Object.keys(subjectGroups);
   const maxSubjectCount = Math.max(...subjects.map(s => subjectGroups[s].length));
-  const requiredSeats = students.length;
+  const totalBenches = rooms.reduce((sum, r) => sum + usableBenches(r), 0);
   
-  if (maxSubjectCount > Math.ceil(requiredSeats / 2)) {
+  if (hasHardConstraint(active, 'no_same_subject_bench') && maxSubjectCount > totalBenches) {
     diagnostics.feasible = false;
     diagnostics.conflicts.push({
       type: 'infeasible',
-      message: `Subject with ${maxSubjectCount} students cannot be seated with bench constraint. Maximum allowed: ${Math.ceil(requiredSeats / 2)}`
+      message: `Subject with ${maxSubjectCount} students cannot be seated with bench constraint. Maximum allowed: ${totalBenches}`
     });
     return { success: false, assignments: [], diagnostics, room_summaries: [] };
   }
   
-  // Distribute students across rooms
-  const roomAssignments = rooms.map(r => ({
+  // Distribute students across rooms, up to the share the fill strategy
+  // gives each room
+  const quotas = roomQuotas(students, rooms, active, fill_strategy);
+  const roomAssignments = rooms.map((r, idx) => ({
     room: r,
     students: [],
-    capacity: r.num_benches * r.seats_per_bench
+    capacity: quotas[idx]
   }));
+  const hasSpace = ra => ra.students.length < ra.capacity;
+  const allows = (ra, student) => !checkPlacement(active, placementContext(layout, student, ra.room), 'room').hard.length;
   
   // Respect preferred rooms first
   const unassignedStudents = [];
@@ -57,7 +69,7 @@ function greedyPairScheduler(students, rooms, constraints = {}) {
       const roomAssignment = roomAssignments.find(ra => 
         ra.room.room_name === student.preferred_room || ra.room.room_id === student.preferred_room
       );
-      if (roomAssignment && roomAssignment.students.length < roomAssignment.capacity) {
+      if (roomAssignment && hasSpace(roomAssignment) && allows(roomAssignment, student)) {
         roomAssignment.students.push(student);
       } else {
         unassignedStudents.push(student);
@@ -67,14 +79,26 @@ function greedyPairScheduler(students, rooms, constraints = {}) {
     }
   });
   
-  // Distribute remaining students evenly
+  // Distribute remaining students evenly, skipping rooms that room-level
+  // hard constraints rule out unless no room with space allows the student.
+  // Students allowed in fewer rooms go first so others don't take their seats.
+  const allowedCount = new Map(unassignedStudents.map(student => [
+    student, roomAssignments.filter(ra => allows(ra, student)).length
+  ]));
+  unassignedStudents.sort((a, b) => allowedCount.get(a) - allowedCount.get(b));
+  // Rooms filled close to their capacity also need a bench left for the
+  // student's subject under the bench constraint
+  const benchAware = fill_strategy !== 'round_robin' && hasHardConstraint(active, 'no_same_subject_bench');
+  const hasBench = (ra, student) => !benchAware
+    || ra.students.filter(s => s.subject === student.subject).length < usableBenches(ra.room);
   let roomIdx = 0;
   unassignedStudents.forEach(student => {
-    while (roomAssignments[roomIdx].students.length >= roomAssignments[roomIdx].capacity) {
-      roomIdx = (roomIdx + 1) % roomAssignments.length;
-    }
-    roomAssignments[roomIdx].students.push(student);
-    roomIdx = (roomIdx + 1) % roomAssignments.length;
+    const order = roomAssignments.map((_, i) => (roomIdx + i) % roomAssignments.length);
+    const target = order.find(i => hasSpace(roomAssignments[i]) && allows(roomAssignments[i], student) && hasBench(roomAssignments[i], student))
+      ?? order.find(i => hasSpace(roomAssignments[i]) && allows(roomAssignments[i], student))
+      ?? order.find(i => hasSpace(roomAssignments[i]));
+    roomAssignments[target].students.push(student);
+    roomIdx = (target + 1) % roomAssignments.length;
   });
   
   // Assign seats within each room using greedy pairing
@@ -82,7 +106,6 @@ function greedyPairScheduler(students, rooms, constraints = {}) {
     const roomStudents = ra.students;
     const room = ra.room;
     const seatsPerBench = room.seats_per_bench || 2;
-    const positionLabels = seatsPerBench === 2 ? ['left', 'right'] : null;
     
     // Group by subject
     const roomSubjectGroups = {};
@@ -90,6 +113,11 @@ function greedyPairScheduler(students, rooms, constraints = {}) {
       if (!roomSubjectGroups[s.subject]) roomSubjectGroups[s.subject] = [];
       roomSubjectGroups[s.subject].push(s);
     });
+    if (rollRule) {
+      Object.keys(roomSubjectGroups).forEach(subject => {
+        roomSubjectGroups[subject] = spreadRolls(roomSubjectGroups[subject], rollRule.params.within);
+      });
+    }
     
     let remainingStudents = roomStudents.length;
     
@@ -97,54 +125,50 @@ function greedyPairScheduler(students, rooms, constraints = {}) {
       .filter(subject => roomSubjectGroups[subject].length > 0)
       .sort((a, b) => roomSubjectGroups[b].length - roomSubjectGroups[a].length);
     
-    for (let benchIdx = 0; benchIdx < room.num_benches && remainingStudents > 0; benchIdx++) {
-      const benchSubjects = new Set();
-      const sortedSubjects = getSortedSubjects();
+    // Only the seats the room's occupancy pattern leaves open are filled
+    const roomSeats = [];
+    for (let benchIdx = 0; benchIdx < room.num_benches; benchIdx++) {
+      usableSeatIndices(room, benchIdx).forEach(seatIdx => roomSeats.push({ benchIdx, seatIdx }));
+    }
+    
+    for (let seatNum = 0; seatNum < roomSeats.length && remainingStudents > 0; seatNum++) {
+      const { benchIdx, seatIdx } = roomSeats[seatNum];
+      const availableSubjects = getSortedSubjects();
+      if (!availableSubjects.length) break;
       
-      if (!sortedSubjects.length) break;
+      // Score the next student of each subject; the largest subject with
+      // no hard violations and the lowest soft penalty wins
+      const options = availableSubjects.map(subject => {
+        const groupStudents = roomSubjectGroups[subject];
+        const student = groupStudents[groupStudents.length - 1];
+        const outcome = checkPlacement(active, placementContext(layout, student, room, benchIdx, seatIdx), 'seat');
+        return { subject, hard: outcome.hard.length, penalty: outcome.penalty };
+      });
+      const clean = options.filter(o => o.hard === 0);
       
-      for (let seatIdx = 0; seatIdx < seatsPerBench && remainingStudents > 0; seatIdx++) {
-        let availableSubjects = getSortedSubjects();
-        if (!availableSubjects.length) break;
-        
-        let chosenSubject = availableSubjects.find(subject => !benchSubjects.has(subject));
-        let respectedConstraint = true;
-        
-        if (!chosenSubject) {
-          chosenSubject = availableSubjects[0];
-          respectedConstraint = false;
-        }
-        
-        const student = roomSubjectGroups[chosenSubject].pop();
-        if (!roomSubjectGroups[chosenSubject].length) {
-          delete roomSubjectGroups[chosenSubject];
-        }
-        
-        const position = positionLabels
-          ? (positionLabels[seatIdx] || `seat_${seatIdx + 1}`)
-          : `seat_${seatIdx + 1}`;
-        
-        assignments.push({
-          room_id: room.room_id,
-          room_name: room.room_name,
-          bench_number: benchIdx + 1,
-          position,
-          student
-        });
-        
-        remainingStudents--;
-        
-        if (respectedConstraint) {
-          benchSubjects.add(student.subject);
-        } else {
-          diagnostics.conflicts.push({
-            type: 'constraint',
-            room: room.room_name,
-            bench_number: benchIdx + 1,
-            message: `Had to seat two ${student.subject} students on bench ${benchIdx + 1} in ${room.room_name}`
-          });
-        }
+      let chosen;
+      if (clean.length) {
+        chosen = clean.reduce((best, o) => (o.penalty < best.penalty ? o : best));
+      } else {
+        // Leave the seat empty while the room still has enough seats after it
+        if (roomSeats.length - seatNum - 1 >= remainingStudents) continue;
+        chosen = options.reduce((best, o) => (o.hard < best.hard ? o : best));
+      }
+      
+      const student = roomSubjectGroups[chosen.subject].pop();
+      if (!roomSubjectGroups[chosen.subject].length) {
+        delete roomSubjectGroups[chosen.subject];
       }
+      
+      assignments.push({
+        room_id: room.room_id,
+        room_name: room.room_name,
+        bench_number: benchIdx + 1,
+        position: seatPosition(seatsPerBench, seatIdx),
+        student
+      });
+      layout.set(room.room_id, benchIdx, seatIdx, student);
+      remainingStudents--;
     }
     
     if (remainingStudents > 0) {
@@ -154,26 +178,1381 @@ function greedyPairScheduler(students, rooms, constraints = {}) {
         message: `Not enough benches in ${room.room_name}`
       });
     }
-  });
-  
-  // Generate room summaries
-  const room_summaries = generateRoomSummaries(assignments, rooms);
-  
+  });
+  
+  applyConstraintReport(diagnostics, assignments, rooms, constraints);
+  
+  // Generate room summaries
+  const room_summaries = generateRoomSummaries(assignments, rooms);
+  
+  return {
+    success: diagnostics.feasible && diagnostics.conflicts.length === 0,
+    assignments,
+    diagnostics,
+    room_summaries
+  };
+}
+
+/**
+ * Backtracking constraint solver - searches room distribution and bench
+ * seating together within an iteration/time budget. Falls back to the best
+ * partial arrangement found when the budget runs out or no solution exists.
+ */
+function cspScheduler(students, rooms, constraints = DEFAULT_CONSTRAINTS, options = {}) {
+  const {
+    max_iterations = 200000,
+    time_limit_ms = 2000,
+    fill_strategy = 'round_robin'
+  } = options;
+  const startedAt = Date.now();
+  const diagnostics = { feasible: true, conflicts: [], suggestions: [] };
+  const active = resolveConstraints(constraints);
+  const benchBound = hasHardConstraint(active, 'no_same_subject_bench');
+  const rollRule = active.find(c => c.name === 'roll_distance');
+
+  const usableCapacity = rooms.reduce((sum, r) => sum + usableSeats(active, r), 0);
+  if (students.length > usableCapacity) {
+    diagnostics.feasible = false;
+    diagnostics.conflicts.push({
+      type: 'capacity',
+      message: `Not enough capacity. Need ${students.length} seats but have ${usableCapacity}.`
+    });
+    return { success: false, assignments: [], diagnostics, room_summaries: [] };
+  }
+
+  // Seats are ordered bench by bench across all rooms, so the search spreads
+  // students over every room before it reaches the back benches; sequential
+  // filling orders them room by room instead. Seats the occupancy pattern
+  // closes and rooms the fill strategy leaves empty are left out.
+  const quotas = roomQuotas(students, rooms, active, fill_strategy);
+  const seats = [];
+  const addSeats = (roomIdx, benchIdx) => {
+    usableSeatIndices(rooms[roomIdx], benchIdx).forEach((seatIdx, idx) => {
+      seats.push({ roomIdx, benchIdx, seatIdx, benchKey: `${roomIdx}:${benchIdx}`, first: idx === 0 });
+    });
+  };
+  const usedRooms = roomsByPriority(rooms).filter(idx => quotas[idx] > 0);
+  if (fill_strategy === 'sequential') {
+    usedRooms.forEach(roomIdx => {
+      for (let benchIdx = 0; benchIdx < rooms[roomIdx].num_benches; benchIdx++) addSeats(roomIdx, benchIdx);
+    });
+  } else {
+    const maxBenches = Math.max(...rooms.map(r => r.num_benches));
+    for (let benchIdx = 0; benchIdx < maxBenches; benchIdx++) {
+      rooms.forEach((room, roomIdx) => {
+        if (benchIdx < room.num_benches && quotas[roomIdx] > 0) addSeats(roomIdx, benchIdx);
+      });
+    }
+  }
+  const totalCapacity = seats.length;
+
+  const layout = createLayout(rooms);
+
+  // Number of untouched benches from each seat onwards, for the subject bound
+  const benchesFrom = new Array(seats.length + 1).fill(0);
+  for (let pos = seats.length - 1; pos >= 0; pos--) {
+    benchesFrom[pos] = benchesFrom[pos + 1] + (seats[pos].first ? 1 : 0);
+  }
+
+  // Students are interchangeable within a subject, preferred room and set of
+  // rooms the room-level constraints allow, so the search branches over
+  // groups rather than individual students
+  const allowedRooms = (student) => rooms
+    .map((room, idx) => idx)
+    .filter(idx => !checkPlacement(active, placementContext(layout, student, rooms[idx]), 'room').hard.length);
+  const groups = [];
+  const groupIndex = {};
+  const roomPinned = rooms.map(() => 0);
+  const pinnedRooms = new Map();
+  students.forEach(student => {
+    let roomIdx = -1;
+    if (student.preferred_room) {
+      const idx = rooms.findIndex(r =>
+        r.room_name === student.preferred_room || r.room_id === student.preferred_room
+      );
+      if (idx >= 0 && roomPinned[idx] < roomCapacity(rooms[idx])) {
+        roomIdx = idx;
+        roomPinned[idx]++;
+        pinnedRooms.set(student, idx);
+      }
+    }
+    const allowed = allowedRooms(student);
+    const key = `${roomIdx}|${student.subject}|${allowed.join(',')}`;
+    if (!groupIndex[key]) {
+      groupIndex[key] = { subject: student.subject, roomIdx, allowed, students: [] };
+      groups.push(groupIndex[key]);
+    }
+    groupIndex[key].students.push(student);
+  });
+  if (rollRule) {
+    groups.forEach(g => {
+      g.students = spreadRolls(g.students, rollRule.params.within);
+    });
+  }
+
+  const subjectRemaining = {};
+  students.forEach(s => {
+    subjectRemaining[s.subject] = (subjectRemaining[s.subject] || 0) + 1;
+  });
+  const roomSeatsRemaining = rooms.map((room, idx) => (quotas[idx] > 0 ? roomCapacity(room) : 0));
+  const quotaRemaining = quotas.slice();
+  const benchSubjects = {};
+  const seated = new Array(seats.length).fill(null);
+  let seatedCount = 0;
+  let emptiesRemaining = totalCapacity - students.length;
+
+  const benchHas = (benchKey, subject) => Boolean(benchSubjects[benchKey] && benchSubjects[benchKey][subject]);
+
+  // Forward check: under the bench rule every subject still needs one
+  // distinct bench per student, every room must keep enough seats for the
+  // students pinned to it, and every group restricted to some rooms must
+  // still fit in them
+  const restricted = groups.filter(g => g.allowed.length < rooms.length);
+  const consistent = (pos) => {
+    const partial = pos < seats.length && !seats[pos].first ? seats[pos].benchKey : null;
+    const futureBenches = benchesFrom[pos];
+    for (const subject of (benchBound ? Object.keys(subjectRemaining) : [])) {
+      const remaining = subjectRemaining[subject];
+      if (!remaining) continue;
+      const available = futureBenches + (partial && !benchHas(partial, subject) ? 1 : 0);
+      if (remaining > available) return false;
+    }
+    if (restricted.some(g => g.students.length > g.allowed.reduce((sum, idx) => sum + roomSeatsRemaining[idx], 0))) {
+      return false;
+    }
+    const openSeats = rooms.reduce((sum, r, idx) => sum + Math.min(quotaRemaining[idx], roomSeatsRemaining[idx]), 0);
+    if (openSeats < students.length - seatedCount) return false;
+    return roomPinned.every((pinned, idx) => pinned <= roomSeatsRemaining[idx]);
+  };
+
+  // Constraints are checked against the student a group would seat next.
+  // Roll distances tell students of a group apart, so under that rule the
+  // rest of the group is tried when the next student does not fit.
+  const checkGroup = (pos, group) => {
+    const seat = seats[pos];
+    const check = student => checkPlacement(active, placementContext(layout, student, rooms[seat.roomIdx], seat.benchIdx, seat.seatIdx));
+    const next = group.students[group.students.length - 1];
+    const outcome = check(next);
+    if (!outcome.hard.length || !rollRule) return { student: next, outcome };
+    for (let idx = group.students.length - 2; idx >= 0; idx--) {
+      const alternative = check(group.students[idx]);
+      if (!alternative.hard.length) return { student: group.students[idx], outcome: alternative };
+    }
+    return { student: next, outcome };
+  };
+
+  const candidates = (pos) => {
+    const seat = seats[pos];
+    if (quotaRemaining[seat.roomIdx] <= 0) return emptiesRemaining > 0 ? [null] : [];
+    const values = groups
+      .filter(g => g.students.length > 0 && (g.roomIdx === -1 || g.roomIdx === seat.roomIdx))
+      .map(g => ({ group: g, ...checkGroup(pos, g) }))
+      .filter(({ outcome }) => !outcome.hard.length)
+      .sort((a, b) => (b.group.roomIdx - a.group.roomIdx)
+        || (a.outcome.penalty - b.outcome.penalty)
+        || (a.group.allowed.length - b.group.allowed.length)
+        || (subjectRemaining[b.group.subject] - subjectRemaining[a.group.subject])
+        || (b.group.students.length - a.group.students.length))
+      .map(({ group, student }) => ({ group, student }));
+    if (emptiesRemaining > 0) values.push(null);
+    return values;
+  };
+
+  const apply = (pos, value) => {
+    const seat = seats[pos];
+    roomSeatsRemaining[seat.roomIdx]--;
+    if (!value) {
+      emptiesRemaining--;
+      return;
+    }
+    const { group, student } = value;
+    group.students.splice(group.students.lastIndexOf(student), 1);
+    seated[pos] = { student, group };
+    seatedCount++;
+    quotaRemaining[seat.roomIdx]--;
+    subjectRemaining[group.subject]--;
+    if (group.roomIdx >= 0) roomPinned[group.roomIdx]--;
+    layout.set(rooms[seat.roomIdx].room_id, seat.benchIdx, seat.seatIdx, student);
+    if (!benchSubjects[seat.benchKey]) benchSubjects[seat.benchKey] = {};
+    benchSubjects[seat.benchKey][group.subject] = (benchSubjects[seat.benchKey][group.subject] || 0) + 1;
+  };
+
+  const undo = (pos, value) => {
+    const seat = seats[pos];
+    roomSeatsRemaining[seat.roomIdx]++;
+    if (!value) {
+      emptiesRemaining++;
+      return;
+    }
+    const { group, student } = value;
+    group.students.push(student);
+    seated[pos] = null;
+    layout.set(rooms[seat.roomIdx].room_id, seat.benchIdx, seat.seatIdx, null);
+    seatedCount--;
+    quotaRemaining[seat.roomIdx]++;
+    subjectRemaining[group.subject]++;
+    if (group.roomIdx >= 0) roomPinned[group.roomIdx]++;
+    benchSubjects[seat.benchKey][group.subject]--;
+  };
+
+  let best = { count: 0, seated: seated.slice() };
+  const recordBest = () => {
+    if (seatedCount > best.count) best = { count: seatedCount, seated: seated.slice() };
+  };
+
+  const frames = [];
+  let pos = 0;
+  let iterations = 0;
+  let outcome = consistent(0) ? null : 'infeasible';
+
+  while (!outcome) {
+    if (seatedCount === students.length) {
+      outcome = 'solved';
+      break;
+    }
+    if (pos < 0) {
+      outcome = 'exhausted';
+      break;
+    }
+    if (iterations >= max_iterations
+      || (iterations % 256 === 0 && Date.now() - startedAt > time_limit_ms)) {
+      outcome = 'budget';
+      recordBest();
+      break;
+    }
+    iterations++;
+
+    let frame = frames[pos];
+    if (!frame) {
+      frame = frames[pos] = { values: candidates(pos), next: 0, applied: undefined };
+    } else if (frame.applied !== undefined) {
+      undo(pos, frame.applied);
+      frame.applied = undefined;
+    }
+
+    if (frame.next >= frame.values.length) {
+      frames[pos] = null;
+      pos--;
+      continue;
+    }
+
+    const value = frame.values[frame.next++];
+    apply(pos, value);
+    frame.applied = value;
+    if (consistent(pos + 1)) {
+      pos++;
+    } else {
+      recordBest();
+    }
+  }
+
+  const finalSeats = outcome === 'solved' ? seated : best.seated;
+
+  if (outcome === 'infeasible' || outcome === 'exhausted') {
+    diagnostics.feasible = false;
+    diagnostics.conflicts.push({
+      type: 'infeasible',
+      message: 'No arrangement satisfies the seating constraints for these rooms and subjects'
+    });
+  } else if (outcome === 'budget') {
+    diagnostics.conflicts.push({
+      type: 'budget',
+      message: `Search stopped after ${iterations} iterations; returning best partial arrangement (${best.count} of ${students.length} seated cleanly)`
+    });
+  }
+
+  // Seat whoever the search could not place by walking the free seats in
+  // search order, preferring whoever breaks the fewest hard constraints there
+  if (outcome !== 'solved') {
+    const placed = new Set(finalSeats.filter(Boolean).map(entry => entry.student));
+    let leftover = students.filter(s => !placed.has(s));
+    const finalLayout = createLayout(rooms);
+    finalSeats.forEach((entry, idx) => {
+      if (!entry) return;
+      const seat = seats[idx];
+      finalLayout.set(rooms[seat.roomIdx].room_id, seat.benchIdx, seat.seatIdx, entry.student);
+    });
+
+    seats.forEach((seat, idx) => {
+      if (finalSeats[idx] || !leftover.length) return;
+      const room = rooms[seat.roomIdx];
+      let pool = leftover.filter(s => !pinnedRooms.has(s) || pinnedRooms.get(s) === seat.roomIdx);
+      if (!pool.length) pool = leftover;
+
+      const counts = {};
+      pool.forEach(s => {
+        counts[s.subject] = (counts[s.subject] || 0) + 1;
+      });
+      const options = Object.keys(counts)
+        .sort((a, b) => counts[b] - counts[a])
+        .map(subject => {
+          const student = pool.find(s => s.subject === subject && pinnedRooms.get(s) === seat.roomIdx)
+            || pool.find(s => s.subject === subject);
+          const context = placementContext(finalLayout, student, room, seat.benchIdx, seat.seatIdx);
+          return { student, hard: checkPlacement(active, context).hard.length };
+        });
+      const { student } = options.reduce((best, o) => (o.hard < best.hard ? o : best));
+
+      finalSeats[idx] = { student };
+      finalLayout.set(room.room_id, seat.benchIdx, seat.seatIdx, student);
+      leftover = leftover.filter(s => s !== student);
+    });
+  }
+
+  const assignments = seats
+    .map((seat, idx) => ({ seat, student: finalSeats[idx] && finalSeats[idx].student }))
+    .filter(entry => entry.student)
+    .sort((a, b) => (a.seat.roomIdx - b.seat.roomIdx)
+      || (a.seat.benchIdx - b.seat.benchIdx)
+      || (a.seat.seatIdx - b.seat.seatIdx))
+    .map(({ seat, student }) => {
+      const room = rooms[seat.roomIdx];
+      return {
+        room_id: room.room_id,
+        room_name: room.room_name,
+        bench_number: seat.benchIdx + 1,
+        position: seatPosition(room.seats_per_bench, seat.seatIdx),
+        student
+      };
+    });
+
+  applyConstraintReport(diagnostics, assignments, rooms, constraints);
+  diagnostics.search = {
+    outcome,
+    iterations,
+    elapsed_ms: Date.now() - startedAt
+  };
+
+  return {
+    success: outcome === 'solved' && diagnostics.conflicts.length === 0,
+    assignments,
+    diagnostics,
+    room_summaries: generateRoomSummaries(assignments, rooms)
+  };
+}
+
+/**
+ * Seat label for a position on a bench ("left"/"right" on two-seat benches)
+ */
+function seatPosition(seatsPerBench, seatIdx) {
+  if (seatsPerBench === 2) return seatIdx === 0 ? 'left' : 'right';
+  return `seat_${seatIdx + 1}`;
+}
+
+/**
+ * Inverse of seatPosition - zero-based seat index for a position label
+ */
+function seatIndex(position) {
+  if (position === 'left') return 0;
+  if (position === 'right') return 1;
+  const match = /^seat_(\d+)$/.exec(position || '');
+  return match ? parseInt(match[1]) - 1 : 0;
+}
+
+/**
+ * Fill in a room's bench grid. Rooms may declare bench_rows x bench_columns,
+ * a plain num_benches, or both; without columns benches form a single file.
+ */
+function normalizeRoom(room, occupancy = null) {
+  const columns = room.bench_columns || 1;
+  const numBenches = room.num_benches || (room.bench_rows || 0) * columns;
+  return {
+    ...room,
+    num_benches: numBenches,
+    bench_rows: room.bench_rows || Math.ceil(numBenches / columns),
+    bench_columns: columns,
+    occupancy: normalizeOccupancy(room.occupancy ?? occupancy),
+    tags: normalizeTags(room.tags)
+  };
+}
+
+/**
+ * Room attributes ("lab", "ac", ...) as a lowercase list; accepts an array
+ * or a ';'/','-separated string
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[;,]/);
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Building a room is in, '' when it has none
+ */
+function buildingOf(room) {
+  return String(room.building || '').trim();
+}
+
+/**
+ * Rooms grouped by building, buildings in the order they first appear
+ */
+function orderByBuilding(rooms) {
+  const buildings = [...new Set(rooms.map(buildingOf))];
+  return buildings.flatMap(building => rooms.filter(room => buildingOf(room) === building));
+}
+
+// Occupancy patterns: which seats of a room students may use
+const OCCUPANCY_PATTERNS = ['full', 'alternate', 'checkerboard', 'max_per_bench'];
+
+/**
+ * Accepts a pattern name, a number (students per bench) or
+ * `{ pattern, max_per_bench }`; a room's own occupancy wins over the session's
+ */
+function normalizeOccupancy(occupancy) {
+  if (occupancy === undefined || occupancy === null || occupancy === '') return { pattern: 'full' };
+  if (typeof occupancy === 'number') return { pattern: 'max_per_bench', max_per_bench: occupancy };
+  if (typeof occupancy === 'string') return { pattern: occupancy };
+  if (!occupancy.pattern && occupancy.max_per_bench !== undefined) {
+    return { pattern: 'max_per_bench', max_per_bench: occupancy.max_per_bench };
+  }
+  return { ...occupancy };
+}
+
+/**
+ * Seats of a bench left open by the room's occupancy pattern:
+ * 'alternate' keeps every other seat of a bench, 'checkerboard' also shifts
+ * by one seat on every other row, 'max_per_bench' spreads n seats out.
+ * Locked seats are never open.
+ */
+function usableSeatIndices(room, benchIdx) {
+  const open = patternSeatIndices(room, benchIdx);
+  if (!room.locked_seats) return open;
+  return open.filter(idx => !room.locked_seats[`${benchIdx}:${idx}`]);
+}
+
+function patternSeatIndices(room, benchIdx) {
+  const seatsPerBench = room.seats_per_bench || 2;
+  const all = Array.from({ length: seatsPerBench }, (_, idx) => idx);
+  const occupancy = room.occupancy || { pattern: 'full' };
+  switch (occupancy.pattern) {
+    case 'alternate':
+      return all.filter(idx => idx % 2 === 0);
+    case 'checkerboard':
+      return all.filter(idx => {
+        const { x, y } = seatCoordinates(room, benchIdx, idx);
+        return (x + y) % 2 === 0;
+      });
+    case 'max_per_bench': {
+      const count = Math.min(seatsPerBench, Math.max(0, occupancy.max_per_bench || 0));
+      if (count <= 1) return all.slice(0, count);
+      return Array.from({ length: count }, (_, idx) => Math.round(idx * (seatsPerBench - 1) / (count - 1)));
+    }
+    default:
+      return all;
+  }
+}
+
+/**
+ * Seats of a room open under its occupancy pattern
+ */
+function roomCapacity(room) {
+  let seats = 0;
+  for (let benchIdx = 0; benchIdx < room.num_benches; benchIdx++) {
+    seats += usableSeatIndices(room, benchIdx).length;
+  }
+  return seats;
+}
+
+/**
+ * Benches with at least one open seat
+ */
+function usableBenches(room) {
+  let benches = 0;
+  for (let benchIdx = 0; benchIdx < room.num_benches; benchIdx++) {
+    if (usableSeatIndices(room, benchIdx).length) benches++;
+  }
+  return benches;
+}
+
+/**
+ * Grid coordinates of a seat. Benches are numbered row by row from the front;
+ * x counts individual seats across the room, y counts rows.
+ */
+function seatCoordinates(room, benchIdx, seatIdx) {
+  const columns = room.bench_columns || 1;
+  const seatsPerBench = room.seats_per_bench || 2;
+  return {
+    x: (benchIdx % columns) * seatsPerBench + seatIdx,
+    y: Math.floor(benchIdx / columns)
+  };
+}
+
+/**
+ * Seats next to the given seat under the requested relations
+ * ('front_back', 'diagonal', 'side'). Seats on the same bench are left to
+ * the bench rule.
+ */
+function seatNeighbours(room, benchIdx, seatIdx, relations) {
+  if (!relations.length) return [];
+  const columns = room.bench_columns || 1;
+  const seatsPerBench = room.seats_per_bench || 2;
+  const { x, y } = seatCoordinates(room, benchIdx, seatIdx);
+
+  const offsets = [];
+  if (relations.includes('front_back')) {
+    offsets.push([0, -1, 'front_back'], [0, 1, 'front_back']);
+  }
+  if (relations.includes('diagonal')) {
+    offsets.push([-1, -1, 'diagonal'], [1, -1, 'diagonal'], [-1, 1, 'diagonal'], [1, 1, 'diagonal']);
+  }
+  if (relations.includes('side')) {
+    offsets.push([-1, 0, 'side'], [1, 0, 'side']);
+  }
+
+  const neighbours = [];
+  offsets.forEach(([dx, dy, relation]) => {
+    const nx = x + dx;
+    const ny = y + dy;
+    if (nx < 0 || ny < 0 || nx >= columns * seatsPerBench) return;
+    const neighbourBench = ny * columns + Math.floor(nx / seatsPerBench);
+    if (neighbourBench >= room.num_benches || neighbourBench === benchIdx) return;
+    neighbours.push({ benchIdx: neighbourBench, seatIdx: nx % seatsPerBench, relation });
+  });
+  return neighbours;
+}
+
+// Constraints applied when the caller does not pass any
+const DEFAULT_CONSTRAINTS = { no_same_subject_bench: true };
+
+// Every constraint the schedulers know about, keyed by name
+const constraintRegistry = {};
+
+/**
+ * Register a constraint. `check(ctx, params)` returns nothing when the
+ * placement is fine, or a message / violation object (or a list of them).
+ * Seat-scoped checks see the bench and its neighbours; room-scoped checks
+ * only see which room the student is going to. `shorthand` names the param
+ * a bare number sets (default `value`).
+ */
+function registerConstraint(name, definition = {}) {
+  if (typeof definition.check !== 'function') {
+    throw new SchedulerError(`Constraint "${name}" needs a check function`);
+  }
+  constraintRegistry[name] = {
+    name,
+    scope: 'seat',
+    type: 'hard',
+    weight: 1,
+    shorthand: 'value',
+    ...definition,
+    params: { ...(definition.params || {}) }
+  };
+  return constraintRegistry[name];
+}
+
+/**
+ * Turn a constraints object into the list of enabled constraints. Values may
+ * be `true` (registered defaults), a number (the shorthand param) or an object
+ * overriding `type`/`weight` with every other key taken as a param.
+ */
+function resolveConstraints(constraints = DEFAULT_CONSTRAINTS) {
+  const active = [];
+  Object.keys(constraints || {}).forEach(name => {
+    const setting = constraints[name];
+    if (setting === false || setting === null || setting === undefined) return;
+    const definition = constraintRegistry[name];
+    if (!definition) {
+      throw new SchedulerError(`Unknown constraint "${name}"`);
+    }
+
+    let overrides = {};
+    if (typeof setting === 'number') {
+      overrides = { params: { [definition.shorthand]: setting } };
+    } else if (typeof setting === 'object') {
+      const { type, weight, enabled, ...params } = setting;
+      if (enabled === false) return;
+      overrides = { type, weight, params };
+    }
+    active.push({
+      name,
+      definition,
+      type: overrides.type || definition.type,
+      weight: overrides.weight ?? definition.weight,
+      params: { ...definition.params, ...(overrides.params || {}) }
+    });
+  });
+  return active;
+}
+
+/**
+ * Names of constraints in a constraints object that are not registered
+ */
+function unknownConstraints(constraints = {}) {
+  return Object.keys(constraints || {}).filter(name => !constraintRegistry[name]);
+}
+
+function hasHardConstraint(active, name) {
+  return active.some(c => c.name === name && c.type === 'hard');
+}
+
+/**
+ * Seats a room can fill under its occupancy pattern once a hard
+ * `max_per_bench` caps every bench
+ */
+function usableSeats(active, room) {
+  const cap = active.find(c => c.name === 'max_per_bench' && c.type === 'hard');
+  let seats = 0;
+  for (let benchIdx = 0; benchIdx < room.num_benches; benchIdx++) {
+    const open = usableSeatIndices(room, benchIdx).length;
+    seats += cap ? Math.min(open, cap.params.value) : open;
+  }
+  return seats;
+}
+
+// Ways of spreading students over rooms
+const FILL_STRATEGIES = ['round_robin', 'sequential', 'balanced_by_ratio', 'min_rooms'];
+
+/**
+ * Room indices in fill order: by `priority` (lower first), then as listed
+ */
+function roomsByPriority(rooms) {
+  return rooms
+    .map((room, idx) => idx)
+    .sort((a, b) => ((rooms[a].priority ?? Infinity) - (rooms[b].priority ?? Infinity)) || (a - b));
+}
+
+/**
+ * Most students each room takes under a fill strategy. round_robin leaves
+ * every room at its capacity, sequential fills rooms in priority order,
+ * balanced_by_ratio gives rooms a share in proportion to their capacity and
+ * min_rooms shares students over the fewest rooms (largest first) that
+ * still give every subject a bench per student under the bench constraint.
+ */
+function roomQuotas(students, rooms, active, strategy = 'round_robin') {
+  const capacities = rooms.map(room => usableSeats(active, room));
+  const share = (caps) => {
+    const total = caps.reduce((sum, c) => sum + c, 0);
+    return caps.map(c => (total ? Math.min(c, Math.ceil(students.length * c / total)) : 0));
+  };
+
+  switch (strategy) {
+    case 'sequential': {
+      const quotas = rooms.map(() => 0);
+      let left = students.length;
+      roomsByPriority(rooms).forEach(idx => {
+        quotas[idx] = Math.min(capacities[idx], left);
+        left -= quotas[idx];
+      });
+      return quotas;
+    }
+    case 'balanced_by_ratio':
+      return share(capacities);
+    case 'min_rooms': {
+      const subjectCounts = {};
+      students.forEach(s => {
+        subjectCounts[s.subject] = (subjectCounts[s.subject] || 0) + 1;
+      });
+      const largestSubject = Math.max(0, ...Object.values(subjectCounts));
+      const benchRule = hasHardConstraint(active, 'no_same_subject_bench');
+      const order = roomsByPriority(rooms).sort((a, b) => capacities[b] - capacities[a]);
+      const chosen = new Set();
+      let seats = 0;
+      let benches = 0;
+      for (const idx of order) {
+        if (seats >= students.length && (!benchRule || benches >= largestSubject)) break;
+        chosen.add(idx);
+        seats += capacities[idx];
+        benches += usableBenches(rooms[idx]);
+      }
+      return share(capacities.map((c, idx) => (chosen.has(idx) ? c : 0)));
+    }
+    default:
+      return capacities;
+  }
+}
+
+/**
+ * Fill in the building of every subject `subject_building` does not already
+ * place. Locked students keep their subject where they sit; the rest go,
+ * largest subject first, to the building with the most seats left among
+ * those whose allowed rooms hold the whole subject (a bench per student under
+ * the bench constraint). Subjects that fit no building are left out.
+ */
+function planSubjectBuildings(students, rooms, constraints = DEFAULT_CONSTRAINTS) {
+  const active = resolveConstraints(constraints);
+  const rule = active.find(c => c.name === 'subject_building');
+  if (!rule) return constraints;
+  const otherRules = active.filter(c => c !== rule);
+  const benchRule = hasHardConstraint(active, 'no_same_subject_bench');
+  const layout = createLayout(rooms);
+  const buildings = { ...rule.params.buildings };
+  rooms.forEach(room => {
+    Object.values(room.locked_seats || {}).forEach(student => {
+      if (buildings[student.subject] === undefined) buildings[student.subject] = buildingOf(room);
+    });
+  });
+
+  const bySubject = {};
+  students.forEach(s => {
+    if (!bySubject[s.subject]) bySubject[s.subject] = [];
+    bySubject[s.subject].push(s);
+  });
+  const seatsLeft = new Map();
+  rooms.forEach(room => {
+    seatsLeft.set(buildingOf(room), (seatsLeft.get(buildingOf(room)) || 0) + usableSeats(active, room));
+  });
+  Object.keys(bySubject).forEach(subject => {
+    const building = buildings[subject];
+    if (seatsLeft.has(building)) seatsLeft.set(building, seatsLeft.get(building) - bySubject[subject].length);
+  });
+
+  Object.keys(bySubject)
+    .filter(subject => buildings[subject] === undefined)
+    .sort((a, b) => bySubject[b].length - bySubject[a].length)
+    .forEach(subject => {
+      const count = bySubject[subject].length;
+      const open = new Map();
+      rooms
+        .filter(room => !checkPlacement(otherRules, placementContext(layout, bySubject[subject][0], room), 'room').hard.length)
+        .forEach(room => {
+          const space = open.get(buildingOf(room)) || { seats: 0, benches: 0 };
+          space.seats += usableSeats(active, room);
+          space.benches += usableBenches(room);
+          open.set(buildingOf(room), space);
+        });
+      const fits = Array.from(open.keys()).filter(building => (
+        Math.min(open.get(building).seats, seatsLeft.get(building)) >= count
+        && (!benchRule || open.get(building).benches >= count)
+      ));
+      if (!fits.length) return;
+      const best = fits.reduce((a, b) => (seatsLeft.get(b) > seatsLeft.get(a) ? b : a));
+      buildings[subject] = best;
+      seatsLeft.set(best, seatsLeft.get(best) - count);
+    });
+
+  const setting = constraints.subject_building;
+  return { ...constraints, subject_building: { ...(typeof setting === 'object' ? setting : {}), buildings } };
+}
+
+/**
+ * Who sits where, keyed by room, bench and seat index. Students on locked
+ * seats are already in place.
+ */
+function createLayout(rooms) {
+  const byRoom = new Map();
+  const seatsIn = (roomId) => {
+    if (!byRoom.has(roomId)) byRoom.set(roomId, new Map());
+    return byRoom.get(roomId);
+  };
+  rooms.forEach(room => {
+    Object.keys(room.locked_seats || {}).forEach(key => {
+      const [benchIdx, seatIdx] = key.split(':').map(Number);
+      seatsIn(room.room_id).set(key, { student: room.locked_seats[key], benchIdx, seatIdx });
+    });
+  });
+  return {
+    rooms,
+    get: (roomId, benchIdx, seatIdx) => {
+      const entry = seatsIn(roomId).get(`${benchIdx}:${seatIdx}`);
+      return entry ? entry.student : null;
+    },
+    set: (roomId, benchIdx, seatIdx, student) => {
+      if (student) seatsIn(roomId).set(`${benchIdx}:${seatIdx}`, { student, benchIdx, seatIdx });
+      else seatsIn(roomId).delete(`${benchIdx}:${seatIdx}`);
+    },
+    occupants: (roomId) => Array.from(seatsIn(roomId).values())
+  };
+}
+
+/**
+ * What a constraint check sees about one placement. Without a bench index the
+ * placement is room-level and the bench fields are null.
+ */
+function placementContext(layout, student, room, benchIdx = null, seatIdx = null) {
+  const seatsPerBench = room.seats_per_bench || 2;
+  const onBench = benchIdx !== null;
+  return {
+    student,
+    room,
+    rooms: layout.rooms,
+    bench_number: onBench ? benchIdx + 1 : null,
+    position: onBench ? seatPosition(seatsPerBench, seatIdx) : null,
+    benchMates: () => {
+      if (!onBench) return [];
+      const mates = [];
+      for (let idx = 0; idx < seatsPerBench; idx++) {
+        const mate = idx === seatIdx ? null : layout.get(room.room_id, benchIdx, idx);
+        if (mate) mates.push(mate);
+      }
+      return mates;
+    },
+    neighbours: (relations) => {
+      if (!onBench) return [];
+      return seatNeighbours(room, benchIdx, seatIdx, relations)
+        .map(n => ({
+          student: layout.get(room.room_id, n.benchIdx, n.seatIdx),
+          bench_number: n.benchIdx + 1,
+          position: seatPosition(seatsPerBench, n.seatIdx),
+          relation: n.relation
+        }))
+        .filter(n => n.student);
+    },
+    roomMates: () => layout.occupants(room.room_id)
+      .filter(o => !(o.benchIdx === benchIdx && o.seatIdx === seatIdx))
+      .map(o => ({
+        student: o.student,
+        bench_number: o.benchIdx + 1,
+        position: seatPosition(seatsPerBench, o.seatIdx)
+      })),
+    elsewhere: () => layout.rooms
+      .filter(other => other.room_id !== room.room_id)
+      .flatMap(other => layout.occupants(other.room_id).map(o => ({ student: o.student, room: other })))
+  };
+}
+
+/**
+ * Run the enabled constraints against one placement. `scope` limits the
+ * check to 'room' or 'seat' constraints; seat constraints are skipped for
+ * room-level placements.
+ */
+function checkPlacement(active, ctx, scope = null) {
+  const outcome = { hard: [], soft: [], penalty: 0 };
+  active.forEach(constraint => {
+    const { scope: constraintScope, check } = constraint.definition;
+    if (scope && constraintScope !== scope) return;
+    if (constraintScope === 'seat' && ctx.bench_number === null) return;
+
+    [].concat(check(ctx, constraint.params) || []).forEach(result => {
+      const violation = {
+        type: 'constraint',
+        room: ctx.room.room_name,
+        bench_number: ctx.bench_number,
+        ...(typeof result === 'string' ? { message: result } : result),
+        constraint: constraint.name,
+        severity: constraint.type
+      };
+      if (constraint.type === 'hard') {
+        outcome.hard.push(violation);
+      } else {
+        outcome.soft.push(violation);
+        outcome.penalty += constraint.weight;
+      }
+    });
+  });
+  return outcome;
+}
+
+/**
+ * Check a finished arrangement against the constraints. Seats are replayed
+ * in room, bench and seat order so every pair is reported once.
+ */
+function evaluateConstraints(assignments, rooms, constraints = DEFAULT_CONSTRAINTS) {
+  const active = resolveConstraints(constraints);
+  const layout = createLayout(rooms);
+  const report = { hard: [], soft: [], soft_penalty: 0 };
+  rooms.forEach(room => {
+    assignments
+      .filter(a => a.room_id === room.room_id)
+      .sort((a, b) => (a.bench_number - b.bench_number) || (seatIndex(a.position) - seatIndex(b.position)))
+      .forEach(a => {
+        const benchIdx = a.bench_number - 1;
+        const seatIdx = seatIndex(a.position);
+        const outcome = checkPlacement(active, placementContext(layout, a.student, room, benchIdx, seatIdx));
+        report.hard.push(...outcome.hard);
+        report.soft.push(...outcome.soft);
+        report.soft_penalty += outcome.penalty;
+        layout.set(room.room_id, benchIdx, seatIdx, a.student);
+      });
+  });
+  return report;
+}
+
+/**
+ * Add the constraint report for an arrangement to its diagnostics: hard
+ * violations become conflicts, soft ones are listed with their penalty
+ */
+function applyConstraintReport(diagnostics, assignments, rooms, constraints) {
+  const report = evaluateConstraints(assignments, rooms, constraints);
+  diagnostics.conflicts.push(...report.hard);
+  diagnostics.soft_violations = report.soft;
+  diagnostics.soft_penalty = report.soft_penalty;
+  const rollRule = resolveConstraints(constraints).find(c => c.name === 'roll_distance');
+  if (rollRule) {
+    diagnostics.closest_rolls = closestRollPairs(assignments, rooms, rollRule.params);
+  }
+  return diagnostics;
+}
+
+/**
+ * Benches between two benches of a room, counting diagonal steps as one
+ */
+function benchDistance(room, benchA, benchB) {
+  const columns = room.bench_columns || 1;
+  return Math.max(
+    Math.abs(Math.floor(benchA / columns) - Math.floor(benchB / columns)),
+    Math.abs((benchA % columns) - (benchB % columns))
+  );
+}
+
+function rollsWithin(rollA, rollB, within) {
+  const a = parseRoll(rollA);
+  const b = parseRoll(rollB);
+  return a.prefix === b.prefix && !isNaN(a.num) && !isNaN(b.num) && Math.abs(a.num - b.num) <= within;
+}
+
+/**
+ * The closest same-subject pair with rolls within `within` of each other,
+ * for every room that has one
+ */
+function closestRollPairs(assignments, rooms, { within = 1 } = {}) {
+  const pairs = [];
+  rooms.forEach(room => {
+    const seated = assignments.filter(a => a.room_id === room.room_id);
+    let closest = null;
+    seated.forEach((a, i) => {
+      seated.slice(i + 1).forEach(b => {
+        if (a.student.subject !== b.student.subject || !rollsWithin(a.student.roll, b.student.roll, within)) return;
+        const distance = benchDistance(room, a.bench_number - 1, b.bench_number - 1);
+        if (closest && distance >= closest.distance) return;
+        closest = {
+          room_id: room.room_id,
+          room_name: room.room_name,
+          subject: a.student.subject,
+          rolls: [a.student.roll, b.student.roll],
+          benches: [a.bench_number, b.bench_number],
+          distance
+        };
+      });
+    });
+    if (closest) pairs.push(closest);
+  });
+  return pairs;
+}
+
+/**
+ * Reorder students so that rolls within `within` of each other are far apart
+ * in the list: sorted rolls taken with a stride of `within + 1`
+ */
+function spreadRolls(students, within = 1) {
+  const sorted = students.slice().sort((a, b) =>
+    String(a.roll).localeCompare(String(b.roll), undefined, { numeric: true })
+  );
+  const stride = within + 1;
+  const spread = [];
+  for (let start = 0; start < stride; start++) {
+    for (let idx = start; idx < sorted.length; idx += stride) spread.push(sorted[idx]);
+  }
+  return spread;
+}
+
+const sameSubject = (ctx, other) => other.subject === ctx.student.subject;
+
+registerConstraint('no_same_subject_bench', {
+  check: (ctx) => {
+    if (!ctx.benchMates().some(mate => sameSubject(ctx, mate))) return null;
+    return `Had to seat two ${ctx.student.subject} students on bench ${ctx.bench_number} in ${ctx.room.room_name}`;
+  }
+});
+
+registerConstraint('max_per_bench', {
+  params: { value: 2 },
+  check: (ctx, params) => {
+    if (ctx.benchMates().length < params.value) return null;
+    return `Bench ${ctx.bench_number} in ${ctx.room.room_name} seats more than ${params.value} students`;
+  }
+});
+
+registerConstraint('preferred_room', {
+  scope: 'room',
+  type: 'soft',
+  check: (ctx) => {
+    const preferred = ctx.student.preferred_room;
+    if (!preferred || preferred === ctx.room.room_name || preferred === ctx.room.room_id) return null;
+    return `${ctx.student.roll} prefers ${preferred} but sits in ${ctx.room.room_name}`;
+  }
+});
+
+// params.rooms maps a subject to the room ids or names it may use
+registerConstraint('subject_rooms', {
+  scope: 'room',
+  params: { rooms: {} },
+  check: (ctx, params) => {
+    const allowed = params.rooms[ctx.student.subject];
+    if (!allowed || allowed.includes(ctx.room.room_id) || allowed.includes(ctx.room.room_name)) return null;
+    return `${ctx.student.subject} student ${ctx.student.roll} is not allowed in ${ctx.room.room_name}`;
+  }
+});
+
+// Students of a subject whose rolls are within `within` of each other sit at
+// least `min_benches` benches apart
+registerConstraint('roll_distance', {
+  shorthand: 'min_benches',
+  params: { within: 1, min_benches: 2 },
+  check: (ctx, params) => ctx.roomMates()
+    .filter(m => sameSubject(ctx, m.student) && rollsWithin(ctx.student.roll, m.student.roll, params.within))
+    .map(m => ({ mate: m, distance: benchDistance(ctx.room, ctx.bench_number - 1, m.bench_number - 1) }))
+    .filter(({ distance }) => distance < params.min_benches)
+    .map(({ mate, distance }) => ({
+      type: 'proximity',
+      rolls: [mate.student.roll, ctx.student.roll],
+      distance,
+      message: `${ctx.student.subject} students ${mate.student.roll} and ${ctx.student.roll} have close rolls but sit ${distance} bench${distance === 1 ? '' : 'es'} apart in ${ctx.room.room_name} (minimum ${params.min_benches})`
+    }))
+});
+
+// params.subjects maps a subject to the room tags it needs and must avoid:
+// { BCA: { required: ['lab'], forbidden: ['ac'] } }
+registerConstraint('subject_tags', {
+  scope: 'room',
+  params: { subjects: {} },
+  check: (ctx, params) => {
+    const rule = params.subjects[ctx.student.subject];
+    if (!rule) return null;
+    const tags = normalizeTags(ctx.room.tags);
+    const missing = normalizeTags(rule.required).filter(tag => !tags.includes(tag));
+    const clashing = normalizeTags(rule.forbidden).filter(tag => tags.includes(tag));
+    if (missing.length) {
+      return `${ctx.student.subject} needs a room tagged ${missing.join(', ')}; ${ctx.room.room_name} is not`;
+    }
+    if (clashing.length) {
+      return `${ctx.student.subject} cannot use ${ctx.room.room_name} (tagged ${clashing.join(', ')})`;
+    }
+    return null;
+  }
+});
+
+// Keeps each subject inside one building. params.buildings maps a subject
+// to its building; schedule() fills in the subjects it leaves out. A subject
+// without one must stay in the building its first seated student is in.
+registerConstraint('subject_building', {
+  scope: 'room',
+  params: { buildings: {} },
+  check: (ctx, params) => {
+    const here = buildingOf(ctx.room);
+    const planned = params.buildings[ctx.student.subject];
+    if (planned !== undefined) {
+      if (planned === here) return null;
+      return `${ctx.student.subject} is kept in ${planned || 'rooms without a building'}; ${ctx.room.room_name} is in ${here || 'no building'}`;
+    }
+    const other = ctx.elsewhere().find(o => sameSubject(ctx, o.student) && buildingOf(o.room) !== here);
+    if (!other) return null;
+    return `${ctx.student.subject} students sit in both ${buildingOf(other.room) || 'no building'} (${other.room.room_name}) and ${here || 'no building'} (${ctx.room.room_name})`;
+  }
+});
+
+// Neighbour rules on bench grids, with how each relation reads in messages
+[
+  ['no_same_subject_adjacent_front_back', 'front_back', 'one behind the other'],
+  ['no_same_subject_diagonal', 'diagonal', 'diagonally'],
+  ['no_same_subject_side', 'side', 'side by side']
+].forEach(([name, relation, label]) => {
+  registerConstraint(name, {
+    relation,
+    check: (ctx) => ctx.neighbours([relation])
+      .filter(n => sameSubject(ctx, n.student))
+      .map(n => ({
+        type: 'adjacency',
+        relation,
+        seats: [
+          { bench_number: n.bench_number, position: n.position, roll: n.student.roll },
+          { bench_number: ctx.bench_number, position: ctx.position, roll: ctx.student.roll }
+        ],
+        message: `${ctx.student.subject} students ${n.student.roll} and ${ctx.student.roll} sit ${label} in ${ctx.room.room_name} (bench ${n.bench_number} ${n.position}, bench ${ctx.bench_number} ${ctx.position})`
+      }))
+  });
+});
+
+// Default weights of the optimisation objective (lower scores are better)
+const OBJECTIVE_WEIGHTS = {
+  subject_spread: 1,
+  roll_scatter: 2,
+  room_balance: 1,
+  preferred_room: 5,
+  soft_constraints: 1
+};
+
+/**
+ * Split a roll into prefix and trailing number ("1043-5" -> "1043-", 5)
+ */
+function parseRoll(roll) {
+  const match = String(roll).match(/^(.*?)(\d+)$/);
+  return match ? { prefix: match[1], num: parseInt(match[2]) } : { prefix: String(roll), num: NaN };
+}
+
+/**
+ * Seat-level model of an arrangement shared by the scorer and the annealer:
+ * every seat of every room, who sits where, and the seats around each seat
+ */
+function createSeatingModel(assignments, rooms, constraints = DEFAULT_CONSTRAINTS, weights = {}) {
+  const w = { ...OBJECTIVE_WEIGHTS, ...weights };
+  const active = resolveConstraints(constraints);
+  const layout = createLayout(rooms);
+  const seats = [];
+  const lookup = {};
+  rooms.forEach((room, roomIdx) => {
+    for (let benchIdx = 0; benchIdx < room.num_benches; benchIdx++) {
+      usableSeatIndices(room, benchIdx).forEach(seatIdx => {
+        lookup[`${roomIdx}:${benchIdx}:${seatIdx}`] = seats.length;
+        seats.push({ roomIdx, benchIdx, seatIdx, ...seatCoordinates(room, benchIdx, seatIdx) });
+      });
+    }
+  });
+
+  // Every open seat touching this one, for the subject spread term
+  seats.forEach(seat => {
+    const room = rooms[seat.roomIdx];
+    const at = n => lookup[`${seat.roomIdx}:${n.benchIdx}:${n.seatIdx}`];
+    const benchMates = [];
+    for (let s = 0; s < (room.seats_per_bench || 2); s++) {
+      if (s !== seat.seatIdx) benchMates.push(lookup[`${seat.roomIdx}:${seat.benchIdx}:${s}`]);
+    }
+    const around = seatNeighbours(room, seat.benchIdx, seat.seatIdx, ['front_back', 'diagonal', 'side']);
+    seat.near = benchMates.concat(around.map(at)).filter(idx => idx !== undefined);
+  });
+
+  const occupant = seats.map(() => null);
+  const seatOf = new Map();
+  const roomCounts = rooms.map(() => 0);
+  assignments.forEach(a => {
+    const roomIdx = rooms.findIndex(r => r.room_id === a.room_id);
+    const idx = lookup[`${roomIdx}:${a.bench_number - 1}:${seatIndex(a.position)}`];
+    if (idx === undefined) return;
+    occupant[idx] = a.student;
+    seatOf.set(a.student, idx);
+    layout.set(a.room_id, a.bench_number - 1, seatIndex(a.position), a.student);
+    roomCounts[roomIdx]++;
+  });
+
+  // Consecutive rolls of the same subject, the pairs most likely to copy
+  const partners = new Map();
+  const series = {};
+  seatOf.forEach((idx, student) => {
+    const { prefix, num } = parseRoll(student.roll);
+    if (isNaN(num)) return;
+    const key = `${student.subject}|${prefix}`;
+    if (!series[key]) series[key] = [];
+    series[key].push({ student, num });
+  });
+  Object.values(series).forEach(list => {
+    list.sort((a, b) => a.num - b.num);
+    for (let i = 1; i < list.length; i++) {
+      if (list[i].num - list[i - 1].num !== 1) continue;
+      [[list[i].student, list[i - 1].student], [list[i - 1].student, list[i].student]].forEach(([a, b]) => {
+        if (!partners.has(a)) partners.set(a, []);
+        partners.get(a).push(b);
+      });
+    }
+  });
+
+  const preferredRoom = new Map();
+  seatOf.forEach((idx, student) => {
+    if (!student.preferred_room) return;
+    const roomIdx = rooms.findIndex(r => r.room_name === student.preferred_room || r.room_id === student.preferred_room);
+    if (roomIdx >= 0) preferredRoom.set(student, roomIdx);
+  });
+
+  const capacities = rooms.map(roomCapacity);
+
+  // Pair terms are counted once, from the lower seat index, when both seats
+  // are in the touched set. Registry constraints are checked per student, so
+  // `hard` and `soft_constraints` are only comparable between calls.
+  const localTerms = (touched) => {
+    const touchedSet = new Set(touched);
+    const terms = { subject_spread: 0, roll_scatter: 0, preferred_room: 0, soft_constraints: 0, hard: 0 };
+    touched.forEach(idx => {
+      const student = occupant[idx];
+      if (!student) return;
+      const seat = seats[idx];
+      const outcome = checkPlacement(active, placementContext(layout, student, rooms[seat.roomIdx], seat.benchIdx, seat.seatIdx));
+      terms.hard += outcome.hard.length;
+      terms.soft_constraints += outcome.penalty;
+      seats[idx].near.forEach(n => {
+        const other = occupant[n];
+        if (!other || other.subject !== student.subject) return;
+        if (touchedSet.has(n) && n < idx) return;
+        terms.subject_spread++;
+      });
+      (partners.get(student) || []).forEach(other => {
+        const otherIdx = seatOf.get(other);
+        if (touchedSet.has(otherIdx) && otherIdx < idx) return;
+        const a = seats[idx];
+        const b = seats[otherIdx];
+        if (a.roomIdx !== b.roomIdx) return;
+        terms.roll_scatter += 1 / (Math.abs(a.x - b.x) + Math.abs(a.y - b.y));
+      });
+      if (preferredRoom.has(student) && preferredRoom.get(student) !== seats[idx].roomIdx) {
+        terms.preferred_room++;
+      }
+    });
+    return terms;
+  };
+
+  const roomBalance = () => {
+    const fills = roomCounts.map((count, idx) => (capacities[idx] ? count / capacities[idx] : 0));
+    const mean = fills.reduce((sum, f) => sum + f, 0) / (fills.length || 1);
+    return fills.reduce((sum, f) => sum + (f - mean) * (f - mean), 0) * 100;
+  };
+
+  const weighted = (terms, balance) => w.subject_spread * terms.subject_spread
+    + w.roll_scatter * terms.roll_scatter
+    + w.room_balance * balance
+    + w.preferred_room * terms.preferred_room
+    + w.soft_constraints * terms.soft_constraints;
+
+  const score = () => {
+    const terms = localTerms(seats.map((_, idx) => idx));
+    terms.soft_constraints = evaluateConstraints(toAssignments(), rooms, constraints).soft_penalty;
+    const values = { ...terms, room_balance: roomBalance() };
+    const breakdown = {};
+    Object.keys(OBJECTIVE_WEIGHTS).forEach(term => {
+      breakdown[term] = {
+        value: Math.round(values[term] * 1000) / 1000,
+        weight: w[term],
+        weighted: Math.round(values[term] * w[term] * 1000) / 1000
+      };
+    });
+    return {
+      total: Math.round(weighted(terms, values.room_balance) * 1000) / 1000,
+      breakdown
+    };
+  };
+
+  const swap = (i, j) => {
+    const a = occupant[i];
+    const b = occupant[j];
+    occupant[i] = b;
+    occupant[j] = a;
+    layout.set(rooms[seats[i].roomIdx].room_id, seats[i].benchIdx, seats[i].seatIdx, b);
+    layout.set(rooms[seats[j].roomIdx].room_id, seats[j].benchIdx, seats[j].seatIdx, a);
+    if (a) seatOf.set(a, j);
+    if (b) seatOf.set(b, i);
+    if (Boolean(a) !== Boolean(b) && seats[i].roomIdx !== seats[j].roomIdx) {
+      const from = a ? seats[i].roomIdx : seats[j].roomIdx;
+      const to = a ? seats[j].roomIdx : seats[i].roomIdx;
+      roomCounts[from]--;
+      roomCounts[to]++;
+    }
+  };
+
+  const toAssignments = (layout = occupant) => seats
+    .map((seat, idx) => ({ seat, student: layout[idx] }))
+    .filter(entry => entry.student)
+    .map(({ seat, student }) => {
+      const room = rooms[seat.roomIdx];
+      return {
+        room_id: room.room_id,
+        room_name: room.room_name,
+        bench_number: seat.benchIdx + 1,
+        position: seatPosition(room.seats_per_bench || 2, seat.seatIdx),
+        student
+      };
+    });
+
+  return {
+    seats,
+    occupant,
+    seatOf,
+    localTerms,
+    roomBalance,
+    weighted,
+    score,
+    swap,
+    toAssignments
+  };
+}
+
+/**
+ * Score an arrangement against the optimisation objective, so runs of
+ * different algorithms or seeds can be compared
+ */
+function scoreAssignments(assignments, rooms, options = {}) {
+  const { constraints = DEFAULT_CONSTRAINTS, weights = {} } = options;
+  return createSeatingModel(assignments, rooms.map(room => normalizeRoom(room)), constraints, weights).score();
+}
+
+/**
+ * Simulated annealing over seat swaps. Starts from a feasible arrangement,
+ * never adds hard constraint violations, and keeps the best layout it sees.
+ */
+function optimizeAssignments(result, rooms, constraints = DEFAULT_CONSTRAINTS, options = {}) {
+  const {
+    seed = null,
+    weights = {},
+    anneal_iterations = 20000,
+    initial_temperature = 2,
+    final_temperature = 0.01,
+    fill_strategy = 'round_robin'
+  } = options;
+
+  if (!result.assignments.length) return result;
+
+  const model = createSeatingModel(result.assignments, rooms, constraints, weights);
+  const { seats, occupant } = model;
+  const random = createRandom(seed === null ? 1 : seed);
+  const initialScore = model.score();
+
+  let current = initialScore.total;
+  let best = { total: current, layout: occupant.slice() };
+  let accepted = 0;
+  const students = [...model.seatOf.keys()];
+
+  for (let iter = 0; iter < anneal_iterations; iter++) {
+    const temperature = initial_temperature * Math.pow(final_temperature / initial_temperature, iter / anneal_iterations);
+    const i = model.seatOf.get(students[Math.floor(random() * students.length)]);
+    const j = Math.floor(random() * seats.length);
+    if (i === j) continue;
+    // Other fill strategies decide how many students each room holds
+    if (fill_strategy !== 'round_robin' && !occupant[j] && seats[j].roomIdx !== seats[i].roomIdx) continue;
+
+    const touched = [i, j];
+    const termsBefore = model.localTerms(touched);
+    const before = model.weighted(termsBefore, model.roomBalance());
+    model.swap(i, j);
+
+    const termsAfter = model.localTerms(touched);
+    if (termsAfter.hard > termsBefore.hard) {
+      model.swap(i, j);
+      continue;
+    }
+
+    const delta = model.weighted(termsAfter, model.roomBalance()) - before;
+    if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+      accepted++;
+      current += delta;
+      if (current < best.total - 1e-9) {
+        best = { total: current, layout: occupant.slice() };
+      }
+    } else {
+      model.swap(i, j);
+    }
+  }
+
+  const assignments = model.toAssignments(best.layout);
+  const finalScore = scoreAssignments(assignments, rooms, { constraints, weights });
+  const diagnostics = {
+    ...result.diagnostics,
+    conflicts: result.diagnostics.conflicts.filter(c => !c.constraint)
+  };
+  applyConstraintReport(diagnostics, assignments, rooms, constraints);
+
   return {
     success: diagnostics.feasible && diagnostics.conflicts.length === 0,
     assignments,
     diagnostics,
-    room_summaries
+    room_summaries: generateRoomSummaries(assignments, rooms),
+    score: {
+      ...finalScore,
+      initial_total: initialScore.total,
+      iterations: anneal_iterations,
+      accepted
+    }
   };
 }
 
 /**
- * Generate summary statistics for each room
+ * Greedy pairing followed by a simulated annealing pass over its result
+ */
+function annealScheduler(students, rooms, constraints = DEFAULT_CONSTRAINTS, options = {}) {
+  const initial = greedyPairScheduler(students, rooms, constraints, options);
+  return optimizeAssignments(initial, rooms, constraints, options);
+}
+
+/**
+ * Generate summary statistics for each room, with rooms grouped by building
  */
 function generateRoomSummaries(assignments, rooms) {
   const summaries = [];
   
-  rooms.forEach(room => {
+  orderByBuilding(rooms).forEach(room => {
     const roomAssignments = assignments.filter(a => a.room_id === room.room_id);
     const subjectCounts = {};
     
@@ -204,7 +1583,12 @@ function generateRoomSummaries(assignments, rooms) {
     summaries.push({
       room_id: room.room_id,
       room_name: room.room_name,
+      campus: room.campus || null,
+      building: buildingOf(room) || null,
+      floor: room.floor ?? null,
       total: roomAssignments.length,
+      capacity: roomCapacity(room),
+      unused: roomAssignments.length === 0,
       subjects: formattedSubjects,
       subject_counts: subjectCounts
     });
@@ -257,6 +1641,13 @@ function validateConstraints(students, rooms) {
     errors.push('No rooms provided');
   }
   
+  (rooms || []).forEach(room => {
+    const { pattern } = normalizeOccupancy(room.occupancy);
+    if (!OCCUPANCY_PATTERNS.includes(pattern)) {
+      errors.push(`Unknown occupancy pattern "${pattern}" for room ${room.room_id}`);
+    }
+  });
+  
   // Check for duplicate rolls
   const rolls = new Set();
   students.forEach(s => {
@@ -270,17 +1661,377 @@ function validateConstraints(students, rooms) {
 }
 
 /**
- * Main scheduling entry point
+ * Explain why students don't fit the rooms and work out repairs: the fewest
+ * extra benches or rooms, the subjects that block seating and whether moving
+ * part of the largest blocking subject to a second shift is enough. Every
+ * suggestion carries an `action` and its parameters so a UI can apply it.
+ */
+function explainInfeasibility(students, rooms, constraints = DEFAULT_CONSTRAINTS) {
+  const active = resolveConstraints(constraints);
+  const benchRule = hasHardConstraint(active, 'no_same_subject_bench');
+  const layout = createLayout(rooms);
+
+  const bySubject = {};
+  students.forEach(s => {
+    if (!bySubject[s.subject]) bySubject[s.subject] = [];
+    bySubject[s.subject].push(s);
+  });
+  const subjects = Object.keys(bySubject);
+
+  // Room-level constraints decide which rooms each subject may use
+  const allowed = new Map();
+  const allows = (room, subject) => {
+    const key = `${room.room_id}|${normalizeTags(room.tags).join(';')}|${subject}`;
+    if (!allowed.has(key)) {
+      allowed.set(key, !checkPlacement(active, placementContext(layout, bySubject[subject][0], room), 'room').hard.length);
+    }
+    return allowed.get(key);
+  };
+  // Open benches and seats of a room, or of `count` benches added to it,
+  // under its occupancy pattern
+  const openSpace = (room, count = null) => {
+    if (count === null) return { room, benches: usableBenches(room), seats: usableSeats(active, room) };
+    const perBench = room.num_benches ? usableSeats(active, room) / room.num_benches : 0;
+    return { room, benches: count, seats: Math.floor(count * perBench) };
+  };
+
+  // Shortfalls once `extra` space is added: seats overall, and under the
+  // bench rule one bench per student of every subject
+  const shortfalls = (extra = [], roomList = rooms) => {
+    const all = roomList.map(room => openSpace(room)).concat(extra);
+    const seats = all.reduce((sum, r) => sum + r.seats, 0);
+    const subjectShortfalls = subjects.map(subject => {
+      const usable = all.filter(r => allows(r.room, subject));
+      const benches = usable.reduce((sum, r) => sum + r.benches, 0);
+      const seatsAllowed = usable.reduce((sum, r) => sum + r.seats, 0);
+      const needed = bySubject[subject].length;
+      const shortfall = Math.max(0, needed - (benchRule ? Math.min(benches, seatsAllowed) : seatsAllowed));
+      const roomNames = [...new Set(usable.map(r => r.room.room_name))];
+      return {
+        subject,
+        students: needed,
+        rooms: [...new Set(usable.map(r => r.room.room_id))],
+        benches_available: benches,
+        seats_available: seatsAllowed,
+        shortfall,
+        message: `${subject} has ${needed} students but the rooms it may use (${roomNames.join(', ') || 'none'}) take ${benchRule ? Math.min(benches, seatsAllowed) : seatsAllowed}`
+      };
+    });
+    return {
+      seats,
+      seat_shortfall: Math.max(0, students.length - seats),
+      subjects: subjectShortfalls
+    };
+  };
+  const fits = report => report.seat_shortfall === 0 && report.subjects.every(s => s.shortfall === 0);
+
+  const current = shortfalls();
+  const explanation = {
+    seats_needed: students.length,
+    seats_available: current.seats,
+    benches_available: rooms.reduce((sum, r) => sum + usableBenches(r), 0),
+    blocking_subjects: current.subjects.filter(s => s.shortfall > 0),
+    extra_benches: 0,
+    extra_rooms: 0
+  };
+  const suggestions = [];
+  if (fits(current)) return { explanation, suggestions };
+
+  // Fewest benches added to a single existing room
+  const limit = students.length;
+  let benchFix = null;
+  rooms.forEach(room => {
+    for (let count = 1; count <= limit && (!benchFix || count < benchFix.count); count++) {
+      if (fits(shortfalls([openSpace(room, count)]))) {
+        benchFix = { room, count };
+        break;
+      }
+    }
+  });
+  if (benchFix) {
+    explanation.extra_benches = benchFix.count;
+    suggestions.push({
+      action: 'add_benches',
+      room_id: benchFix.room.room_id,
+      count: benchFix.count,
+      message: `Add ${benchFix.count} bench${benchFix.count === 1 ? '' : 'es'} to ${benchFix.room.room_name}`
+    });
+  }
+
+  // Fewest extra rooms shaped like the largest existing room
+  const template = rooms.reduce((best, r) => (usableSeats(active, r) > usableSeats(active, best) ? r : best), rooms[0]);
+  const newRoom = {
+    room_id: `R${rooms.length + 1}`,
+    room_name: `Room ${rooms.length + 1}`,
+    num_benches: template.num_benches,
+    seats_per_bench: template.seats_per_bench,
+    bench_columns: template.bench_columns,
+    occupancy: template.occupancy
+  };
+  for (let count = 1; count <= rooms.length + limit; count++) {
+    const space = openSpace(newRoom);
+    if (fits(shortfalls([{ room: newRoom, benches: space.benches * count, seats: space.seats * count }]))) {
+      explanation.extra_rooms = count;
+      suggestions.push({
+        action: 'add_room',
+        count,
+        num_benches: newRoom.num_benches,
+        seats_per_bench: newRoom.seats_per_bench,
+        message: `Add ${count} room${count === 1 ? '' : 's'} of ${newRoom.num_benches} benches x ${newRoom.seats_per_bench} seats`
+      });
+      break;
+    }
+  }
+
+  // Retag the largest room that would let a subject held back by its tag
+  // rules fit
+  const tagRule = active.find(c => c.name === 'subject_tags');
+  current.subjects.filter(s => s.shortfall > 0 && tagRule && tagRule.params.subjects[s.subject]).forEach(blocked => {
+    const rule = tagRule.params.subjects[blocked.subject];
+    const candidates = rooms
+      .filter(room => !allows(room, blocked.subject))
+      .sort((a, b) => usableSeats(active, b) - usableSeats(active, a));
+    for (const room of candidates) {
+      const tags = normalizeTags(room.tags);
+      const addTags = normalizeTags(rule.required).filter(tag => !tags.includes(tag));
+      const removeTags = normalizeTags(rule.forbidden).filter(tag => tags.includes(tag));
+      const retagged = { ...room, tags: tags.filter(tag => !removeTags.includes(tag)).concat(addTags) };
+      const report = shortfalls([], rooms.map(r => (r === room ? retagged : r)));
+      if (report.subjects.find(s => s.subject === blocked.subject).shortfall > 0) continue;
+      const changes = addTags.map(tag => `tag it ${tag}`).concat(removeTags.map(tag => `drop the ${tag} tag`));
+      suggestions.push({
+        action: 'tag_room',
+        subject: blocked.subject,
+        room_id: room.room_id,
+        add_tags: addTags,
+        remove_tags: removeTags,
+        message: `Let ${blocked.subject} use ${room.room_name}: ${changes.join(' and ')}`
+      });
+      break;
+    }
+  });
+
+  // Move just enough of the dominant subject to a second shift in the same rooms
+  const dominant = current.subjects.reduce((best, s) => (
+    (s.shortfall > best.shortfall || (s.shortfall === best.shortfall && s.students > best.students)) ? s : best
+  ));
+  const move = Math.min(dominant.students, Math.max(dominant.shortfall, current.seat_shortfall));
+  const othersFit = current.subjects.every(s => s === dominant || s.shortfall === 0);
+  const secondShiftFits = move <= (benchRule ? Math.min(dominant.benches_available, dominant.seats_available) : dominant.seats_available);
+  const splitFixes = move > 0 && othersFit && secondShiftFits && students.length - move <= current.seats;
+  suggestions.push({
+    action: 'split_subject',
+    subject: dominant.subject,
+    count: move,
+    rolls: bySubject[dominant.subject].slice(-move).map(s => s.roll),
+    fixes: splitFixes,
+    message: splitFixes
+      ? `Move ${move} ${dominant.subject} student${move === 1 ? '' : 's'} to a second shift`
+      : `Splitting ${dominant.subject} across a second shift is not enough on its own`
+  });
+
+  return { explanation, suggestions };
+}
+
+/**
+ * One suggestion per hard constraint that the arrangement still breaks
+ */
+function relaxSuggestions(conflicts) {
+  const counts = {};
+  conflicts.filter(c => c.constraint && c.severity === 'hard').forEach(c => {
+    counts[c.constraint] = (counts[c.constraint] || 0) + 1;
+  });
+  return Object.keys(counts).map(constraint => ({
+    action: 'relax_constraint',
+    constraint,
+    violations: counts[constraint],
+    message: `Turn off ${constraint} (${counts[constraint]} violation${counts[constraint] === 1 ? '' : 's'})`
+  }));
+}
+
+/**
+ * Roll of a seat entry given as an assignment, a stored row or `{ roll }`
+ */
+function rollOf(entry) {
+  return String(entry.roll ?? entry.student_roll ?? (entry.student && entry.student.roll));
+}
+
+/**
+ * Check seats locked by hand (`{ room_id, bench_number, position, roll }`)
+ * against the roster and rooms. Returns them as assignments, the rolls they
+ * hold and copies of the rooms with the seats taken out as `locked_seats`.
+ */
+function lockSeats(locked, students, rooms) {
+  const errors = [];
+  const pinned = [];
+  const rolls = new Set();
+  if (!locked || !locked.length) return { errors, pinned, rolls, rooms };
+
+  const byRoll = new Map((students || []).map(s => [String(s.roll), s]));
+  const lockedRooms = rooms.map(room => ({ ...room, locked_seats: {} }));
+  locked.forEach(entry => {
+    const roll = rollOf(entry);
+    const student = byRoll.get(roll);
+    const room = lockedRooms.find(r => r.room_id === entry.room_id);
+    const benchIdx = Number(entry.bench_number) - 1;
+    const seatIdx = seatIndex(entry.position);
+    const seat = `${entry.room_id} bench ${entry.bench_number} ${entry.position}`;
+    if (!student) {
+      errors.push(`Locked student ${roll} is not in the roster`);
+    } else if (!room) {
+      errors.push(`Locked seat for ${roll} is in unknown room ${entry.room_id}`);
+    } else if (!(benchIdx >= 0 && benchIdx < room.num_benches) || seatPosition(room.seats_per_bench || 2, seatIdx) !== entry.position) {
+      errors.push(`Locked seat ${seat} does not exist`);
+    } else if (room.locked_seats[`${benchIdx}:${seatIdx}`]) {
+      errors.push(`Seat ${seat} is locked more than once`);
+    } else if (rolls.has(roll)) {
+      errors.push(`Student ${roll} is locked to more than one seat`);
+    } else {
+      room.locked_seats[`${benchIdx}:${seatIdx}`] = student;
+      rolls.add(roll);
+      pinned.push({
+        room_id: room.room_id,
+        room_name: room.room_name,
+        bench_number: benchIdx + 1,
+        position: entry.position,
+        student,
+        locked: true
+      });
+    }
+  });
+  return { errors, pinned, rolls, rooms: lockedRooms };
+}
+
+/**
+ * Assignments in room, bench and seat order
+ */
+function sortAssignments(assignments, rooms) {
+  const roomOrder = new Map(rooms.map((room, idx) => [room.room_id, idx]));
+  return assignments.sort((a, b) => (roomOrder.get(a.room_id) - roomOrder.get(b.room_id))
+    || (a.bench_number - b.bench_number)
+    || (seatIndex(a.position) - seatIndex(b.position)));
+}
+
+/**
+ * Put locked seats back into a result and flag every constraint a locked
+ * student breaks, checked against everyone seated around them
+ */
+function withLockedSeats(result, pinned, rooms, constraints) {
+  const roomOrder = new Map(rooms.map((room, idx) => [room.room_id, idx]));
+  const assignments = sortAssignments(pinned.concat(result.assignments), rooms);
+
+  const active = resolveConstraints(constraints);
+  const layout = createLayout(rooms);
+  assignments.forEach(a => layout.set(a.room_id, a.bench_number - 1, seatIndex(a.position), a.student));
+  const lockedViolations = [];
+  pinned.forEach(a => {
+    const room = rooms[roomOrder.get(a.room_id)];
+    const outcome = checkPlacement(active, placementContext(layout, a.student, room, a.bench_number - 1, seatIndex(a.position)));
+    outcome.hard.concat(outcome.soft).forEach(violation => {
+      lockedViolations.push({ ...violation, roll: a.student.roll, position: a.position });
+    });
+  });
+
+  const diagnostics = { ...result.diagnostics, locked_violations: lockedViolations };
+  const rollRule = active.find(c => c.name === 'roll_distance');
+  if (rollRule) diagnostics.closest_rolls = closestRollPairs(assignments, rooms, rollRule.params);
+  return {
+    ...result,
+    assignments,
+    diagnostics,
+    room_summaries: generateRoomSummaries(assignments, rooms)
+  };
+}
+
+/**
+ * Stability mode: students keep their baseline seat wherever it still exists
+ * and breaks no hard constraint, and everyone else is inserted around them
+ * moving as few as possible. Returns null when that cannot seat everyone
+ * cleanly, so the caller can fall back to a full run.
+ */
+function keepBaseline(students, rooms, baseline, constraints) {
+  const active = resolveConstraints(constraints);
+  const layout = createLayout(rooms);
+  const waiting = new Map(students.map(s => [String(s.roll), s]));
+  const kept = [];
+  baseline.forEach(entry => {
+    const student = waiting.get(rollOf(entry));
+    const room = rooms.find(r => r.room_id === entry.room_id);
+    if (!student || !room) return;
+    const benchIdx = Number(entry.bench_number) - 1;
+    const seatIdx = seatIndex(entry.position);
+    if (benchIdx < 0 || benchIdx >= room.num_benches
+      || seatPosition(room.seats_per_bench || 2, seatIdx) !== entry.position
+      || !usableSeatIndices(room, benchIdx).includes(seatIdx)
+      || layout.get(room.room_id, benchIdx, seatIdx)) return;
+    if (checkPlacement(active, placementContext(layout, student, room, benchIdx, seatIdx)).hard.length) return;
+    layout.set(room.room_id, benchIdx, seatIdx, student);
+    waiting.delete(rollOf(entry));
+    kept.push({ room_id: room.room_id, room_name: room.room_name, bench_number: benchIdx + 1, position: entry.position, student });
+  });
+
+  const rest = students.filter(s => waiting.has(String(s.roll)));
+  const assignments = rest.length ? insertStudents(kept, rest, rooms, { constraints }).assignments : kept;
+  if (assignments.length < students.length) return null;
+  const diagnostics = { feasible: true, conflicts: [], suggestions: [] };
+  applyConstraintReport(diagnostics, assignments, rooms, constraints);
+  if (diagnostics.conflicts.length) return null;
+  return { success: true, assignments, diagnostics, room_summaries: generateRoomSummaries(assignments, rooms) };
+}
+
+/**
+ * Students who changed room or bench against a baseline arrangement, plus
+ * how many joined or left
+ */
+function seatChurn(baseline, assignments, fullRerun = false) {
+  const before = new Map(baseline.map(entry => [rollOf(entry), entry]));
+  const now = new Set(assignments.map(a => String(a.student.roll)));
+  const moved = assignments
+    .filter(a => {
+      const previous = before.get(String(a.student.roll));
+      return previous && (previous.room_id !== a.room_id || Number(previous.bench_number) !== a.bench_number);
+    })
+    .map(a => a.student.roll);
+  const stayed = assignments.filter(a => before.has(String(a.student.roll))).length;
+  return {
+    count: moved.length,
+    unchanged: stayed - moved.length,
+    added: assignments.length - stayed,
+    removed: [...before.keys()].filter(roll => !now.has(roll)).length,
+    rolls: moved,
+    full_rerun: fullRerun
+  };
+}
+
+/**
+ * Main scheduling entry point. Seats in `locked` stay as they are and only
+ * the remaining students are arranged around them. With a `baseline`
+ * arrangement, students keep their previous seats where they can and the
+ * result reports the churn against it. Rooms listed in `unavailable_rooms`
+ * (ids, e.g. evacuated ones) get nobody.
  */
 function schedule(students, rooms, options = {}) {
   const {
     algorithm = 'greedy',
-    constraints = { no_same_subject_bench: true },
-    seed = null
+    constraints: requested = DEFAULT_CONSTRAINTS,
+    occupancy = null,
+    fill_strategy = 'round_robin',
+    seed = null,
+    locked = [],
+    baseline = null,
+    unavailable_rooms = []
   } = options;
   
+  const closed = new Set(unavailable_rooms);
+  rooms = (rooms || []).filter(room => !closed.has(room.room_id)).map(room => normalizeRoom(room, occupancy));
+  const lock = lockSeats((locked || []).filter(entry => !closed.has(entry.room_id)), students, rooms);
+  
   // Validate inputs
-  const validationErrors = validateConstraints(students, rooms);
+  const validationErrors = validateConstraints(students, rooms)
+    .concat(unknownConstraints(requested).map(name => `Unknown constraint: ${name}`))
+    .concat(FILL_STRATEGIES.includes(fill_strategy) ? [] : [`Unknown fill strategy: ${fill_strategy}`])
+    .concat((locked || []).filter(entry => closed.has(entry.room_id)).map(entry => `Locked seat for ${rollOf(entry)} is in unavailable room ${entry.room_id}`))
+    .concat(lock.errors);
   if (validationErrors.length > 0) {
     return {
       success: false,
@@ -295,18 +2046,474 @@ function schedule(students, rooms, options = {}) {
   }
   
   // Shuffle students if seed provided
-  let processedStudents = [...students];
+  let processedStudents = students.filter(s => !lock.rolls.has(String(s.roll)));
   if (seed !== null) {
     processedStudents = seededShuffle(processedStudents, seed);
   }
   
-  // Run appropriate algorithm
-  switch (algorithm) {
-    case 'greedy':
-      return greedyPairScheduler(processedStudents, rooms, constraints);
-    default:
-      return greedyPairScheduler(processedStudents, rooms, constraints);
+  // Give every subject its building up front when they are kept in one
+  const constraints = planSubjectBuildings(processedStudents, lock.rooms, requested);
+  
+  // Run appropriate algorithm, unless the baseline can be kept
+  let result = baseline ? keepBaseline(processedStudents, lock.rooms, baseline, constraints) : null;
+  const fullRerun = !result;
+  if (fullRerun) {
+    switch (algorithm) {
+      case 'greedy':
+        result = greedyPairScheduler(processedStudents, lock.rooms, constraints, options);
+        break;
+      case 'csp':
+        result = cspScheduler(processedStudents, lock.rooms, constraints, options);
+        break;
+      case 'anneal':
+        result = annealScheduler(processedStudents, lock.rooms, constraints, options);
+        break;
+      default:
+        result = greedyPairScheduler(processedStudents, lock.rooms, constraints, options);
+    }
+  }
+  
+  // Explain failures and attach repairs the caller can apply
+  if (!result.success) {
+    const { explanation, suggestions } = explainInfeasibility(processedStudents, lock.rooms, constraints);
+    result.diagnostics.explanation = explanation;
+    result.diagnostics.suggestions = result.diagnostics.suggestions
+      .concat(suggestions, relaxSuggestions(result.diagnostics.conflicts));
+  }
+  if (lock.pinned.length) {
+    result = withLockedSeats(result, lock.pinned, rooms, constraints);
+  }
+  if (baseline) {
+    result.churn = seatChurn(baseline, result.assignments, fullRerun);
+  }
+  if (constraints !== requested) {
+    result.diagnostics.subject_buildings = constraints.subject_building.buildings;
+  }
+  return result;
+}
+
+/**
+ * Seat late registrants in an existing arrangement without reshuffling it.
+ * Each goes to the empty seat that breaks no hard constraint with the lowest
+ * soft penalty; when no empty seat works, one unlocked student is moved to an
+ * empty seat to make room. Rooms in `unavailable_rooms` are left out. Returns
+ * the new arrangement and every change made.
+ */
+function insertStudents(assignments, students, rooms, options = {}) {
+  const { constraints = DEFAULT_CONSTRAINTS, occupancy = null, unavailable_rooms = [] } = options;
+  const closed = new Set(unavailable_rooms);
+  rooms = (rooms || []).filter(room => !closed.has(room.room_id)).map(room => normalizeRoom(room, occupancy));
+  const seated = (assignments || []).map(a => ({ ...a }));
+  const diagnostics = { feasible: true, conflicts: [], suggestions: [] };
+  const changes = [];
+  const roomById = new Map(rooms.map(room => [room.room_id, room]));
+  const seatedRolls = new Set(seated.map(a => String(a.student.roll)));
+
+  const validationErrors = validateConstraints(students, rooms)
+    .concat(unknownConstraints(constraints).map(name => `Unknown constraint: ${name}`))
+    .concat((students || []).filter(s => seatedRolls.has(String(s.roll))).map(s => `Student ${s.roll} is already seated`))
+    .concat([...new Set(seated.filter(a => !roomById.has(a.room_id)).map(a => a.room_id))]
+      .map(id => `Seated students are in ${closed.has(id) ? 'unavailable' : 'unknown'} room ${id}`));
+  if (validationErrors.length > 0) {
+    diagnostics.feasible = false;
+    diagnostics.conflicts = validationErrors.map(e => ({ type: 'validation', message: e }));
+    return { success: false, assignments: seated, changes, affected_rooms: [], diagnostics, room_summaries: [] };
+  }
+
+  const active = resolveConstraints(constraints);
+  const layout = createLayout(rooms);
+  seated.forEach(a => layout.set(a.room_id, a.bench_number - 1, seatIndex(a.position), a.student));
+
+  const emptySeats = () => {
+    const free = [];
+    rooms.forEach(room => {
+      for (let benchIdx = 0; benchIdx < room.num_benches; benchIdx++) {
+        usableSeatIndices(room, benchIdx).forEach(seatIdx => {
+          if (!layout.get(room.room_id, benchIdx, seatIdx)) free.push({ room, benchIdx, seatIdx });
+        });
+      }
+    });
+    return free;
+  };
+  const seatOf = a => ({ room: roomById.get(a.room_id), benchIdx: a.bench_number - 1, seatIdx: seatIndex(a.position) });
+  const label = seat => ({
+    room_id: seat.room.room_id,
+    room_name: seat.room.room_name,
+    bench_number: seat.benchIdx + 1,
+    position: seatPosition(seat.room.seats_per_bench || 2, seat.seatIdx)
+  });
+  const fit = (student, seat) => checkPlacement(active, placementContext(layout, student, seat.room, seat.benchIdx, seat.seatIdx));
+  const cleanest = (student, seats) => seats
+    .map(seat => ({ seat, outcome: fit(student, seat) }))
+    .filter(o => !o.outcome.hard.length)
+    .reduce((best, o) => (!best || o.outcome.penalty < best.outcome.penalty ? o : best), null);
+  const place = (student, seat) => {
+    layout.set(seat.room.room_id, seat.benchIdx, seat.seatIdx, student);
+    seated.push({ ...label(seat), student });
+    changes.push({ type: 'added', roll: student.roll, subject: student.subject, to: label(seat) });
+  };
+
+  // Vacate one unlocked seat the student fits in by moving its occupant
+  // to an empty seat that occupant fits in
+  const findMove = (student, free) => {
+    let best = null;
+    seated.filter(a => !a.locked && !changes.some(c => c.roll === a.student.roll)).forEach(a => {
+      if (best && best.penalty === 0) return;
+      const from = seatOf(a);
+      layout.set(from.room.room_id, from.benchIdx, from.seatIdx, null);
+      const here = fit(student, from);
+      if (!here.hard.length) {
+        layout.set(from.room.room_id, from.benchIdx, from.seatIdx, student);
+        const target = cleanest(a.student, free);
+        if (target && (!best || here.penalty + target.outcome.penalty < best.penalty)) {
+          best = { assignment: a, from, to: target.seat, penalty: here.penalty + target.outcome.penalty };
+        }
+      }
+      layout.set(from.room.room_id, from.benchIdx, from.seatIdx, a.student);
+    });
+    return best;
+  };
+
+  // Students allowed in fewer rooms go first
+  const allowedRooms = student => rooms
+    .filter(room => !checkPlacement(active, placementContext(layout, student, room), 'room').hard.length).length;
+  const queue = students.map(student => ({ student, allowed: allowedRooms(student) }))
+    .sort((a, b) => a.allowed - b.allowed)
+    .map(entry => entry.student);
+
+  queue.forEach(student => {
+    const free = emptySeats();
+    if (!free.length) {
+      diagnostics.feasible = false;
+      diagnostics.conflicts.push({ type: 'capacity', message: `No empty seat left for ${student.roll}` });
+      return;
+    }
+    const direct = cleanest(student, free);
+    if (direct) {
+      place(student, direct.seat);
+      return;
+    }
+
+    const move = findMove(student, free);
+    if (move) {
+      const { assignment, from, to } = move;
+      layout.set(from.room.room_id, from.benchIdx, from.seatIdx, null);
+      layout.set(to.room.room_id, to.benchIdx, to.seatIdx, assignment.student);
+      Object.assign(assignment, label(to));
+      changes.push({ type: 'moved', roll: assignment.student.roll, subject: assignment.student.subject, from: label(from), to: label(to) });
+      place(student, from);
+      return;
+    }
+
+    // Nothing clean is left: take the seat with the fewest hard violations
+    const least = free
+      .map(seat => ({ seat, outcome: fit(student, seat) }))
+      .reduce((best, o) => (o.outcome.hard.length < best.outcome.hard.length ? o : best));
+    diagnostics.conflicts.push(...least.outcome.hard);
+    place(student, least.seat);
+  });
+
+  const affected = new Set();
+  changes.forEach(change => {
+    if (change.from) affected.add(change.from.room_id);
+    affected.add(change.to.room_id);
+  });
+  const arranged = sortAssignments(seated, rooms);
+  return {
+    success: diagnostics.conflicts.length === 0,
+    assignments: arranged,
+    changes,
+    affected_rooms: rooms.filter(room => affected.has(room.room_id)).map(room => room.room_id),
+    diagnostics,
+    room_summaries: generateRoomSummaries(arranged, rooms)
+  };
+}
+
+/**
+ * Empty a room that can no longer be used. Its students go to spare seats in
+ * the other rooms under the same constraints; when those run out, standby
+ * rooms are pulled in one at a time. Returns every student who changes seat.
+ */
+function relocateRoom(assignments, roomId, rooms, options = {}) {
+  const { standby_rooms = [], ...insertOptions } = options;
+  if (!(rooms || []).some(room => room.room_id === roomId)) {
+    return {
+      success: false,
+      assignments: assignments || [],
+      relocations: [],
+      affected_rooms: [],
+      standby_used: [],
+      diagnostics: { feasible: false, conflicts: [{ type: 'validation', message: `Unknown room ${roomId}` }], suggestions: [] },
+      room_summaries: []
+    };
+  }
+
+  const evacuees = (assignments || []).filter(a => a.room_id === roomId);
+  const staying = (assignments || []).filter(a => a.room_id !== roomId);
+  const others = rooms.filter(room => room.room_id !== roomId);
+  const closed = new Set(insertOptions.unavailable_rooms || []);
+  const standby = standby_rooms.filter(room => room.room_id !== roomId && !closed.has(room.room_id) && !others.some(o => o.room_id === room.room_id));
+  if (!evacuees.length) {
+    return {
+      success: true,
+      assignments: staying,
+      relocations: [],
+      affected_rooms: [],
+      standby_used: [],
+      diagnostics: { feasible: true, conflicts: [], suggestions: [] },
+      room_summaries: generateRoomSummaries(staying, others.map(room => normalizeRoom(room, insertOptions.occupancy)))
+    };
+  }
+
+  const attempt = count => insertStudents(staying, evacuees.map(a => a.student), others.concat(standby.slice(0, count)), insertOptions);
+  let pulled = 0;
+  let result = attempt(0);
+  while (!result.success && pulled < standby.length && !result.diagnostics.conflicts.some(c => c.type === 'validation')) {
+    pulled++;
+    result = attempt(pulled);
+  }
+
+  const origin = new Map(evacuees.map(a => [a.student.roll, a]));
+  const relocations = result.changes.map(change => {
+    if (change.type !== 'added') return change;
+    const { room_id, room_name, bench_number, position } = origin.get(change.roll);
+    return { type: 'relocated', roll: change.roll, subject: change.subject, from: { room_id, room_name, bench_number, position }, to: change.to };
+  });
+  const { changes, ...rest } = result;
+  return {
+    ...rest,
+    relocations,
+    standby_used: standby.slice(0, pulled).map(room => room.room_id)
+  };
+}
+
+const SEAT_ACTIONS = ['move', 'swap', 'unassign'];
+
+/**
+ * Hand-edit an arrangement: move a student to an empty seat, swap two seats
+ * or unassign a student. Seats must exist and be open under the occupancy
+ * pattern, nobody may be moved into a room in `unavailable_rooms`, and locked
+ * students stay put. A hard constraint the edit breaks is refused when
+ * on_violation is 'reject' and only reported when it is 'warn'.
+ */
+function editSeats(assignments, rooms, edit = {}, options = {}) {
+  const { constraints = DEFAULT_CONSTRAINTS, occupancy = null, on_violation = 'reject', unavailable_rooms = [] } = options;
+  rooms = (rooms || []).map(room => normalizeRoom(room, occupancy));
+  const seated = (assignments || []).map(a => ({ ...a }));
+  const roomById = new Map(rooms.map(room => [room.room_id, room]));
+  const { action, from, to } = edit;
+  const fail = (conflicts) => ({
+    success: false,
+    assignments: assignments || [],
+    changes: [],
+    violations: conflicts.filter(c => c.type === 'constraint'),
+    warnings: [],
+    affected_rooms: [],
+    diagnostics: { feasible: false, conflicts, suggestions: [] },
+    room_summaries: generateRoomSummaries(assignments || [], rooms)
+  });
+  const invalid = messages => fail(messages.map(message => ({ type: 'validation', message })));
+
+  const seatName = seat => `${seat.room_id} bench ${seat.bench_number} ${seat.position}`;
+  const occupantOf = seat => seated.find(a => a.room_id === seat.room_id
+    && a.bench_number === Number(seat.bench_number) && a.position === seat.position);
+  const seatError = seat => {
+    if (!seat || !seat.room_id || !seat.bench_number || !seat.position) return 'Seats need a room_id, bench_number and position';
+    const room = roomById.get(seat.room_id);
+    if (!room) return `Unknown room ${seat.room_id}`;
+    const benchIdx = Number(seat.bench_number) - 1;
+    const seatIdx = seatIndex(seat.position);
+    const exists = Number.isInteger(benchIdx) && benchIdx >= 0 && benchIdx < room.num_benches
+      && seatPosition(room.seats_per_bench || 2, seatIdx) === seat.position;
+    if (!exists) return `Seat ${seatName(seat)} does not exist`;
+    if (!patternSeatIndices(room, benchIdx).includes(seatIdx)) return `Seat ${seatName(seat)} is kept empty by the occupancy pattern`;
+    return null;
+  };
+
+  const errors = [];
+  if (!SEAT_ACTIONS.includes(action)) errors.push(`Action must be one of: ${SEAT_ACTIONS.join(', ')}`);
+  if (!['warn', 'reject'].includes(on_violation)) errors.push('on_violation must be warn or reject');
+  if (errors.length) return invalid(errors);
+
+  const fromError = seatError(from);
+  if (fromError) return invalid([fromError]);
+  const moving = occupantOf(from);
+  if (!moving) return invalid([`No student sits in ${seatName(from)}`]);
+  if (moving.locked) return invalid([`Seat ${seatName(from)} is locked`]);
+
+  let other = null;
+  if (action !== 'unassign') {
+    const toError = seatError(to);
+    if (toError) return invalid([toError]);
+    if (unavailable_rooms.includes(to.room_id)) return invalid([`Room ${to.room_id} is unavailable`]);
+    if (seatName(to) === seatName(from)) return invalid(['A student cannot be moved to their own seat']);
+    other = occupantOf(to) || null;
+    if (other && action === 'move') return invalid([`Seat ${seatName(to)} is taken by ${other.student.roll}; swap instead`]);
+    if (other && other.locked) return invalid([`Seat ${seatName(to)} is locked`]);
+  }
+
+  const label = (a) => ({ room_id: a.room_id, room_name: a.room_name, bench_number: a.bench_number, position: a.position });
+  const seatAt = (seat) => {
+    const room = roomById.get(seat.room_id);
+    return { room_id: room.room_id, room_name: room.room_name, bench_number: Number(seat.bench_number), position: seat.position };
+  };
+  const changes = [];
+  const origin = label(moving);
+  if (action === 'unassign') {
+    seated.splice(seated.indexOf(moving), 1);
+    changes.push({ type: 'unassigned', roll: moving.student.roll, subject: moving.student.subject, from: origin });
+  } else {
+    Object.assign(moving, seatAt(to));
+    changes.push({ type: 'moved', roll: moving.student.roll, subject: moving.student.subject, from: origin, to: label(moving) });
+    if (other) {
+      const otherOrigin = label(other);
+      Object.assign(other, origin);
+      changes.push({ type: 'moved', roll: other.student.roll, subject: other.student.subject, from: otherOrigin, to: label(other) });
+    }
+  }
+
+  // Only the students who moved are checked, against everyone around them
+  const active = resolveConstraints(constraints);
+  const layout = createLayout(rooms);
+  seated.forEach(a => layout.set(a.room_id, a.bench_number - 1, seatIndex(a.position), a.student));
+  const violations = [];
+  const warnings = [];
+  seated.filter(a => changes.some(c => c.to && c.roll === a.student.roll)).forEach(a => {
+    const outcome = checkPlacement(active, placementContext(layout, a.student, roomById.get(a.room_id), a.bench_number - 1, seatIndex(a.position)));
+    violations.push(...outcome.hard);
+    warnings.push(...outcome.soft);
+  });
+  if (violations.length && on_violation === 'reject') {
+    return fail(violations);
   }
+
+  const affected = new Set(changes.flatMap(c => [c.from.room_id, c.to && c.to.room_id]).filter(Boolean));
+  const arranged = sortAssignments(seated, rooms);
+  return {
+    success: true,
+    assignments: arranged,
+    changes,
+    violations,
+    warnings,
+    affected_rooms: rooms.filter(room => affected.has(room.room_id)).map(room => room.room_id),
+    diagnostics: { feasible: true, conflicts: [], suggestions: [] },
+    room_summaries: generateRoomSummaries(arranged, rooms)
+  };
+}
+
+/**
+ * Schedule every slot of an exam timetable. Each slot has a date, a shift
+ * and the papers written in it; a paper's students are seated under the
+ * paper's subject so different papers share benches.
+ */
+function scheduleTimetable(slots, rooms, options = {}) {
+  const results = (slots || []).map(slot => {
+    const students = [];
+    (slot.papers || []).forEach(paper => {
+      (paper.students || []).forEach(student => {
+        students.push({ ...student, subject: paper.subject });
+      });
+    });
+
+    const result = schedule(students, slot.rooms || rooms, options);
+    return {
+      date: slot.date,
+      shift: slot.shift,
+      papers: (slot.papers || []).map(p => ({ subject: p.subject, count: (p.students || []).length })),
+      ...result
+    };
+  });
+
+  return {
+    success: results.length > 0 && results.every(r => r.success),
+    slots: results
+  };
+}
+
+/**
+ * Assign invigilators to every room of every slot. Each room needs
+ * ceil(capacity / students_per_invigilator) staff (at least min_per_room).
+ * Staff are never put in a room where a subject they teach is written, never
+ * double-booked in a slot, and duties go to whoever has the fewest so far.
+ */
+function assignInvigilators(slots, invigilators, options = {}) {
+  const {
+    students_per_invigilator = 30,
+    min_per_room = 1,
+    prior_duties = {}
+  } = options;
+
+  const load = {};
+  invigilators.forEach(inv => {
+    load[inv.staff_id] = prior_duties[inv.staff_id] || 0;
+  });
+
+  // availability holds { date, shift, available } entries (unavailable is
+  // shorthand for ones with available: false). An entry for the slot's shift
+  // overrides one covering the whole day, in either direction.
+  const isAvailable = (inv, slot) => {
+    const entries = [
+      ...(inv.availability || []),
+      ...(inv.unavailable || []).map(entry => ({ ...entry, available: false }))
+    ].filter(entry => entry.date === slot.date);
+    const shiftEntry = slot.shift && entries.find(entry => entry.shift === slot.shift);
+    if (shiftEntry) return Boolean(shiftEntry.available);
+    const dayEntry = entries.find(entry => !entry.shift);
+    if (dayEntry) return Boolean(dayEntry.available);
+    // A slot without a shift overlaps every shift of its day
+    return slot.shift ? true : entries.every(entry => entry.available);
+  };
+
+  const duties = [];
+  const shortfalls = [];
+
+  slots.forEach(slot => {
+    const busy = new Set();
+    // Rooms with the most subjects have the fewest eligible staff, so go first
+    const rooms = [...slot.rooms].sort((a, b) => b.subjects.length - a.subjects.length);
+
+    rooms.forEach(room => {
+      const needed = Math.max(min_per_room, Math.ceil(room.capacity / students_per_invigilator));
+      const eligible = invigilators
+        .filter(inv => !busy.has(inv.staff_id)
+          && isAvailable(inv, slot)
+          && !(inv.subjects || []).some(subject => room.subjects.includes(subject)))
+        .sort((a, b) => (load[a.staff_id] - load[b.staff_id]) || String(a.staff_id).localeCompare(String(b.staff_id)));
+
+      eligible.slice(0, needed).forEach(inv => {
+        busy.add(inv.staff_id);
+        load[inv.staff_id]++;
+        duties.push({
+          slot_id: slot.slot_id,
+          date: slot.date,
+          shift: slot.shift,
+          room_id: room.room_id,
+          room_name: room.room_name,
+          staff_id: inv.staff_id,
+          name: inv.name
+        });
+      });
+
+      if (eligible.length < needed) {
+        shortfalls.push({
+          slot_id: slot.slot_id,
+          date: slot.date,
+          shift: slot.shift,
+          room_id: room.room_id,
+          needed,
+          assigned: Math.min(eligible.length, needed),
+          message: `${room.room_name} on ${slot.date}${slot.shift ? ` (${slot.shift})` : ''} needs ${needed} invigilator(s), ${eligible.length} eligible`
+        });
+      }
+    });
+  });
+
+  return {
+    success: shortfalls.length === 0,
+    duties,
+    shortfalls,
+    load
+  };
 }
 
 /**
@@ -315,13 +2522,7 @@ function schedule(students, rooms, options = {}) {
 function seededShuffle(array, seed) {
   const arr = [...array];
   let m = arr.length, t, i;
-  
-  // Simple seeded random number generator
-  let random = seed;
-  const nextRandom = () => {
-    random = (random * 9301 + 49297) % 233280;
-    return random / 233280;
-  };
+  const nextRandom = createRandom(seed);
   
   while (m) {
     i = Math.floor(nextRandom() * m--);
@@ -333,10 +2534,41 @@ function seededShuffle(array, seed) {
   return arr;
 }
 
+/**
+ * Simple seeded random number generator returning values in [0, 1)
+ */
+function createRandom(seed) {
+  let random = seed;
+  return () => {
+    random = (random * 9301 + 49297) % 233280;
+    return random / 233280;
+  };
+}
+
 const schedulerApi = {
   schedule,
+  insertStudents,
+  relocateRoom,
+  editSeats,
+  scheduleTimetable,
+  assignInvigilators,
   greedyPairScheduler,
+  cspScheduler,
+  annealScheduler,
+  optimizeAssignments,
+  scoreAssignments,
   generateRoomSummaries,
+  evaluateConstraints,
+  explainInfeasibility,
+  registerConstraint,
+  resolveConstraints,
+  normalizeRoom,
+  normalizeTags,
+  buildingOf,
+  orderByBuilding,
+  planSubjectBuildings,
+  roomCapacity,
+  seatNeighbours,
   validateConstraints,
   SchedulerError
 };
@@ -1,5 +1,5 @@
 // scheduler.test.js - Unit tests for scheduler
-const { schedule, validateConstraints, generateRoomSummaries } = require('./scheduler');
+const { schedule, insertStudents, relocateRoom, editSeats, scheduleTimetable, assignInvigilators, scoreAssignments, registerConstraint, evaluateConstraints, validateConstraints, generateRoomSummaries } = require('./scheduler');
 
 // Simple test framework
 function assert(condition, message) {
@@ -186,6 +186,711 @@ if (runTest('Distribute students across multiple rooms', () => {
   assert(Object.keys(roomCounts).length > 1, 'Students should be in multiple rooms');
 })) passed++; else failed++;
 
+// Test 11: CSP solver finds arrangements the greedy room split misses
+if (runTest('CSP solver seats students greedy cannot', () => {
+  const interleaved = ['BBA', 'BCom', 'BBA', 'BCom', 'BBA', 'BCA', 'BBA', 'BCA'].map((subject, i) => ({
+    roll: `${i}`,
+    name: `S${i}`,
+    subject
+  }));
+  const twoRooms = [
+    { room_id: 'R1', room_name: 'Room 1', num_benches: 2, seats_per_bench: 2 },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 2, seats_per_bench: 2 }
+  ];
+
+  const greedy = schedule(interleaved, twoRooms);
+  assert(!greedy.success, 'Greedy should report bench conflicts');
+
+  const result = schedule(interleaved, twoRooms, { algorithm: 'csp' });
+  assert(result.success, 'CSP scheduling should succeed');
+  assertEqual(result.assignments.length, interleaved.length, 'All students should be assigned');
+  assertEqual(result.diagnostics.search.outcome, 'solved', 'Search should report solved');
+
+  const benches = {};
+  result.assignments.forEach(a => {
+    const key = `${a.room_id}-${a.bench_number}`;
+    if (!benches[key]) benches[key] = new Set();
+    assert(!benches[key].has(a.student.subject), 'No two students of same subject should be on same bench');
+    benches[key].add(a.student.subject);
+  });
+})) passed++; else failed++;
+
+// Test 12: CSP solver returns best partial arrangement when out of budget
+if (runTest('CSP solver falls back to partial arrangement on budget', () => {
+  const students = Array(40).fill(null).map((_, i) => ({
+    roll: `${i}`,
+    name: `S${i}`,
+    subject: ['BBA', 'BCom', 'BCA', 'BSc'][i % 4]
+  }));
+  const rooms = [
+    { room_id: 'R1', room_name: 'Room 1', num_benches: 10, seats_per_bench: 2 },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 10, seats_per_bench: 2 }
+  ];
+
+  const result = schedule(students, rooms, { algorithm: 'csp', max_iterations: 10 });
+  assert(!result.success, 'Budgeted run should not report success');
+  assertEqual(result.diagnostics.search.outcome, 'budget', 'Search should report budget exhaustion');
+  assert(result.diagnostics.conflicts.some(c => c.type === 'budget'), 'Should explain the budget stop');
+  assertEqual(result.assignments.length, students.length, 'Partial arrangement should still seat everyone');
+  assertEqual(result.room_summaries.length, rooms.length, 'Should summarise every room');
+})) passed++; else failed++;
+
+// Test 13: CSP solver detects infeasible subject distribution
+if (runTest('CSP solver detects infeasible subject distribution', () => {
+  const imbalancedStudents = [
+    ...Array(10).fill(null).map((_, i) => ({ roll: `${i}`, name: `S${i}`, subject: 'BBA' })),
+    { roll: '100', name: 'Sole', subject: 'BCom' }
+  ];
+  const wideRoom = [{ room_id: 'R1', room_name: 'Room 1', num_benches: 4, seats_per_bench: 3 }];
+
+  const result = schedule(imbalancedStudents, wideRoom, { algorithm: 'csp' });
+  assert(!result.success, 'Should detect infeasible distribution');
+  assert(!result.diagnostics.feasible, 'Diagnostics should mark infeasible');
+})) passed++; else failed++;
+
+// Test 14: Grid rooms keep same-subject students apart front/back and diagonally
+if (runTest('Neighbour constraints on grid room layout', () => {
+  const students = ['BBA', 'BCom', 'BCA', 'BSc'].flatMap(subject =>
+    [1, 2, 3].map(i => ({ roll: `${subject}-${i}`, name: `${subject} ${i}`, subject }))
+  );
+  const gridRoom = [{ room_id: 'R1', room_name: 'Room 1', bench_rows: 3, bench_columns: 2, seats_per_bench: 2 }];
+  const constraints = {
+    no_same_subject_bench: true,
+    no_same_subject_adjacent_front_back: true,
+    no_same_subject_diagonal: true
+  };
+
+  ['greedy', 'csp'].forEach(algorithm => {
+    const result = schedule(students, gridRoom, { algorithm, constraints });
+    assert(result.success, `${algorithm} scheduling should succeed`);
+    assertEqual(result.assignments.length, students.length, 'All students should be assigned');
+
+    const grid = {};
+    result.assignments.forEach(a => {
+      const bench = a.bench_number - 1;
+      const x = (bench % 2) * 2 + (a.position === 'left' ? 0 : 1);
+      grid[`${x},${Math.floor(bench / 2)}`] = a.student.subject;
+    });
+    Object.keys(grid).forEach(key => {
+      const [x, y] = key.split(',').map(Number);
+      [[0, 1], [-1, 1], [1, 1]].forEach(([dx, dy]) => {
+        const other = grid[`${x + dx},${y + dy}`];
+        assert(other !== grid[key], `${algorithm} seated ${grid[key]} next to itself at ${key}`);
+      });
+    });
+  });
+})) passed++; else failed++;
+
+// Test 15: Neighbour violations are reported as seat pairs
+if (runTest('Report neighbour pairs that break constraints', () => {
+  // Three subjects cannot fill a full 3x2 grid without touching neighbours
+  const students = ['BBA', 'BCom', 'BCA'].flatMap(subject =>
+    [1, 2, 3, 4].map(i => ({ roll: `${subject}-${i}`, name: `${subject} ${i}`, subject }))
+  );
+  const gridRoom = [{ room_id: 'R1', room_name: 'Room 1', bench_rows: 3, bench_columns: 2, seats_per_bench: 2 }];
+
+  const result = schedule(students, gridRoom, {
+    constraints: {
+      no_same_subject_bench: true,
+      no_same_subject_adjacent_front_back: true,
+      no_same_subject_diagonal: true
+    }
+  });
+  assert(!result.success, 'Should report the violation');
+  const violation = result.diagnostics.conflicts.find(c => c.type === 'adjacency');
+  assert(violation, 'Should include an adjacency conflict');
+  assert(violation.constraint.startsWith('no_same_subject_'), 'Should name the constraint');
+  assertEqual(violation.seats.length, 2, 'Should list both seats of the pair');
+})) passed++; else failed++;
+
+// Test 16: Timetable schedules every slot with papers as seating subjects
+if (runTest('Schedule every slot of a timetable', () => {
+  const slots = [
+    {
+      date: '2026-11-02',
+      shift: 'morning',
+      papers: [
+        { subject: 'BBA-101', students: sampleStudents.filter(s => s.subject === 'BBA') },
+        { subject: 'BCA-101', students: sampleStudents.filter(s => s.subject === 'BCA') }
+      ]
+    },
+    {
+      date: '2026-11-02',
+      shift: 'afternoon',
+      papers: [
+        { subject: 'BCom-101', students: sampleStudents.filter(s => s.subject === 'BCom') },
+        { subject: 'BBA-102', students: sampleStudents.filter(s => s.subject === 'BBA') }
+      ]
+    }
+  ];
+
+  const result = scheduleTimetable(slots, sampleRooms);
+  assert(result.success, 'Every slot should be scheduled');
+  assertEqual(result.slots.length, 2, 'Should return one result per slot');
+  assertEqual(result.slots[0].shift, 'morning', 'Slot results keep their shift');
+  assertEqual(result.slots[0].assignments.length, 6, 'Morning slot should seat both papers');
+  assertEqual(result.slots[1].assignments.length, 5, 'Afternoon slot should seat both papers');
+  assert(result.slots[1].assignments.every(a => ['BCom-101', 'BBA-102'].includes(a.student.subject)),
+    'Students should be seated under their paper');
+})) passed++; else failed++;
+
+// Test 17: Invigilator duties respect subjects, availability and fairness
+if (runTest('Assign invigilators fairly with exclusions', () => {
+  const slots = [
+    { slot_id: 1, date: '2026-11-02', shift: 'morning', rooms: [
+      { room_id: 'R1', room_name: 'Room 1', capacity: 60, subjects: ['BBA'] },
+      { room_id: 'R2', room_name: 'Room 2', capacity: 20, subjects: ['BCA'] }
+    ] },
+    { slot_id: 2, date: '2026-11-02', shift: 'afternoon', rooms: [
+      { room_id: 'R1', room_name: 'Room 1', capacity: 60, subjects: ['BCom'] }
+    ] }
+  ];
+  const invigilators = [
+    { staff_id: 'T1', name: 'Teacher 1', subjects: ['BBA'] },
+    { staff_id: 'T2', name: 'Teacher 2', subjects: [] },
+    { staff_id: 'T3', name: 'Teacher 3', subjects: [], unavailable: [{ date: '2026-11-02', shift: 'morning' }] },
+    { staff_id: 'T4', name: 'Teacher 4', subjects: ['BCA'] }
+  ];
+
+  const result = assignInvigilators(slots, invigilators, { students_per_invigilator: 30 });
+  assert(result.success, 'Every room should be staffed');
+
+  const morningR1 = result.duties.filter(d => d.slot_id === 1 && d.room_id === 'R1').map(d => d.staff_id);
+  assertEqual(morningR1.length, 2, 'Room of 60 needs two invigilators');
+  assert(!morningR1.includes('T1'), 'Staff teaching BBA must not invigilate BBA');
+  assert(!morningR1.includes('T3'), 'Unavailable staff must not be assigned');
+
+  const afternoon = result.duties.filter(d => d.slot_id === 2).map(d => d.staff_id);
+  assert(afternoon.includes('T3'), 'Staff without morning duty should be preferred in the afternoon');
+  const loads = Object.values(result.load);
+  assert(Math.max(...loads) - Math.min(...loads) <= 1, 'Duties should be spread evenly');
+})) passed++; else failed++;
+
+// Test 18: Annealing improves the objective and stays deterministic per seed
+if (runTest('Simulated annealing improves scored objective', () => {
+  const students = Array(48).fill(null).map((_, i) => ({
+    roll: `10${i % 3}-${i}`,
+    name: `S${i}`,
+    subject: ['BBA', 'BCom', 'BCA'][i % 3]
+  }));
+  const rooms = [
+    { room_id: 'R1', room_name: 'Room 1', bench_rows: 4, bench_columns: 3, seats_per_bench: 2 },
+    { room_id: 'R2', room_name: 'Room 2', bench_rows: 4, bench_columns: 3, seats_per_bench: 2 }
+  ];
+
+  const greedy = schedule(students, rooms, { seed: 7 });
+  const result = schedule(students, rooms, { algorithm: 'anneal', seed: 7 });
+  assert(result.success, 'Annealed schedule should stay feasible');
+  assertEqual(result.assignments.length, students.length, 'All students should be assigned');
+  assert(result.score.total <= result.score.initial_total, 'Score should not get worse');
+  assert(result.score.total < scoreAssignments(greedy.assignments, rooms).total, 'Should improve on greedy');
+  ['subject_spread', 'roll_scatter', 'room_balance', 'preferred_room'].forEach(term => {
+    assert(result.score.breakdown[term], `Breakdown should include ${term}`);
+  });
+
+  const again = schedule(students, rooms, { algorithm: 'anneal', seed: 7 });
+  assertEqual(again.score.total, result.score.total, 'Same seed should give the same score');
+})) passed++; else failed++;
+
+// Test 19: Built-in constraints from the registry
+if (runTest('Honour registry constraints in every scheduler', () => {
+  const students = Array(12).fill(null).map((_, i) => ({
+    roll: `R${i}`,
+    name: `S${i}`,
+    subject: ['BBA', 'BCom'][i % 2],
+    preferred_room: i === 0 ? 'Room 2' : ''
+  }));
+  const rooms = [
+    { room_id: 'R1', room_name: 'Room 1', num_benches: 6, seats_per_bench: 3 },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 6, seats_per_bench: 3 }
+  ];
+  const constraints = {
+    no_same_subject_bench: true,
+    max_per_bench: 1,
+    subject_rooms: { rooms: { BCom: ['R1'] } },
+    preferred_room: { weight: 3 }
+  };
+
+  ['greedy', 'csp', 'anneal'].forEach(algorithm => {
+    const result = schedule(students, rooms, { algorithm, constraints, seed: 3 });
+    assert(result.success, `${algorithm} should satisfy every hard constraint`);
+    const perBench = {};
+    result.assignments.forEach(a => {
+      const key = `${a.room_id}:${a.bench_number}`;
+      perBench[key] = (perBench[key] || 0) + 1;
+      if (a.student.subject === 'BCom') assertEqual(a.room_id, 'R1', `${algorithm} must keep BCom in Room 1`);
+    });
+    assert(Object.values(perBench).every(n => n <= 1), `${algorithm} should seat one student per bench`);
+  });
+
+  // R0 takes BBA, which Room 2 allows, so preferring it costs nothing; a
+  // BCom student preferring Room 2 is reported as a soft violation
+  const pinned = students.map((s, i) => (i === 1 ? { ...s, preferred_room: 'Room 2' } : s));
+  const result = schedule(pinned, rooms, { constraints });
+  assert(result.success, 'Soft violations should not fail the schedule');
+  assertEqual(result.diagnostics.soft_violations.length, 1, 'Unmet preference should be reported');
+  assertEqual(result.diagnostics.soft_violations[0].constraint, 'preferred_room', 'Violation should name its constraint');
+  assertEqual(result.diagnostics.soft_penalty, 3, 'Penalty should use the configured weight');
+
+  const unknown = schedule(students, rooms, { constraints: { no_such_rule: true } });
+  assert(!unknown.success, 'Unknown constraints should be rejected');
+})) passed++; else failed++;
+
+// Test 20: Custom predicates registered from JS
+if (runTest('Register custom constraint predicate', () => {
+  registerConstraint('no_front_bench', {
+    check: (ctx) => (ctx.bench_number === 1 ? `${ctx.student.roll} may not sit on the front bench` : null)
+  });
+  const rooms = [{ room_id: 'R1', room_name: 'Room 1', num_benches: 4, seats_per_bench: 2 }];
+  const students = sampleStudents.slice(0, 6);
+
+  const result = schedule(students, rooms, { constraints: { no_same_subject_bench: true, no_front_bench: true } });
+  assert(result.success, 'Custom constraint should be satisfiable');
+  assert(result.assignments.every(a => a.bench_number > 1), 'Front bench should stay empty');
+
+  const soft = schedule(sampleStudents.slice(0, 8), rooms, {
+    constraints: { no_front_bench: { type: 'soft', weight: 2 } }
+  });
+  assert(soft.success, 'Soft custom constraint should not fail the schedule');
+  assertEqual(soft.diagnostics.soft_penalty, 4, 'Both front seats should count against the soft constraint');
+})) passed++; else failed++;
+
+// Test 21: Failures come with an explanation and machine-readable repairs
+if (runTest('Explain infeasibility with repair suggestions', () => {
+  const students = [
+    ...Array(10).fill(null).map((_, i) => ({ roll: `B${i}`, name: `S${i}`, subject: 'BBA' })),
+    { roll: 'C1', name: 'Sole', subject: 'BCom' },
+    { roll: 'C2', name: 'Other', subject: 'BCom' }
+  ];
+  const rooms = [
+    { room_id: 'R1', room_name: 'Room 1', num_benches: 4, seats_per_bench: 2 },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 3, seats_per_bench: 3 }
+  ];
+
+  const result = schedule(students, rooms);
+  assert(!result.success, 'Ten BBA students cannot share seven benches');
+  const { explanation, suggestions } = result.diagnostics;
+  assertEqual(explanation.blocking_subjects.length, 1, 'Only BBA should block');
+  assertEqual(explanation.blocking_subjects[0].shortfall, 3, 'BBA is three benches short');
+  assertEqual(explanation.extra_benches, 3, 'Three extra benches are enough');
+
+  const addBenches = suggestions.find(s => s.action === 'add_benches');
+  const split = suggestions.find(s => s.action === 'split_subject');
+  assertEqual(split.subject, 'BBA', 'Split should target the blocking subject');
+  assert(split.fixes, 'Moving three BBA students should fix it');
+
+  const repairedRooms = rooms.map(r => (r.room_id === addBenches.room_id ? { ...r, num_benches: r.num_benches + addBenches.count } : r));
+  assert(schedule(students, repairedRooms, { algorithm: 'csp' }).success, 'Applying the bench suggestion should fix the schedule');
+  const firstShift = students.filter(s => !split.rolls.includes(s.roll));
+  assert(schedule(firstShift, rooms, { algorithm: 'csp' }).success, 'Applying the split should fix the first shift');
+})) passed++; else failed++;
+
+// Test 22: Consecutive rolls of a subject are kept apart
+if (runTest('Keep consecutive rolls apart', () => {
+  const students = ['1043', '1076'].flatMap((prefix, p) => Array(12).fill(null).map((_, i) => ({
+    roll: `${prefix}-${i + 1}`,
+    name: `S${i}`,
+    subject: ['BBA', 'BCom'][p]
+  })));
+  const rooms = [{ room_id: 'R1', room_name: 'Room 1', num_benches: 12, seats_per_bench: 2 }];
+  const constraints = { no_same_subject_bench: true, roll_distance: { within: 1, min_benches: 3 } };
+
+  ['greedy', 'csp', 'anneal'].forEach(algorithm => {
+    const result = schedule(students, rooms, { algorithm, constraints });
+    assert(result.success, `${algorithm} should keep close rolls apart`);
+    const closest = result.diagnostics.closest_rolls;
+    assertEqual(closest.length, 1, 'Closest pair should be reported for the room');
+    assert(closest[0].distance >= 3, `${algorithm} closest pair should be at least 3 benches apart`);
+  });
+
+  const plain = schedule(students, rooms);
+  assertEqual(plain.diagnostics.closest_rolls, undefined, 'No proximity report without the rule');
+})) passed++; else failed++;
+
+// Test 23: Occupancy patterns close seats and shrink capacity
+if (runTest('Occupancy patterns leave seats empty', () => {
+  const students = sampleStudents.slice(0, 6);
+  const rooms = [{ room_id: 'R1', room_name: 'Room 1', bench_rows: 2, bench_columns: 2, seats_per_bench: 3 }];
+
+  ['greedy', 'csp', 'anneal'].forEach(algorithm => {
+    const alternate = schedule(students, rooms, { algorithm, occupancy: 'alternate' });
+    assert(alternate.success, `${algorithm} should seat everyone on alternate seats`);
+    assert(alternate.assignments.every(a => a.position !== 'seat_2'), 'Middle seats should stay empty');
+  });
+
+  const checkerboard = schedule(students, rooms, { occupancy: 'checkerboard' });
+  assert(checkerboard.success, 'Checkerboard should fit six students');
+  const taken = new Set(checkerboard.assignments.map(a => `${a.bench_number}-${a.position}`));
+  assert(!taken.has('1-seat_2') && taken.has('3-seat_2'), 'Rows should shift the open seats');
+
+  const onePerBench = schedule(students, rooms, { occupancy: 1 });
+  assert(!onePerBench.success, 'One per bench leaves only four seats');
+  assertEqual(onePerBench.diagnostics.explanation.seats_available, 4, 'Capacity should follow the pattern');
+
+  const roomOverride = schedule(students, [{ ...rooms[0], occupancy: 'full' }], { occupancy: 1 });
+  assert(roomOverride.success, 'A room pattern should win over the session pattern');
+})) passed++; else failed++;
+
+// Test 24: Fill strategies decide how many rooms are used
+if (runTest('Fill strategies and unused rooms', () => {
+  const students = ['BBA', 'BCom', 'BCA'].flatMap((subject, p) => Array(8).fill(null).map((_, i) => ({
+    roll: `${p}-${i}`,
+    name: `S${i}`,
+    subject
+  })));
+  const rooms = [
+    { room_id: 'R1', room_name: 'Room 1', num_benches: 6, seats_per_bench: 2 },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 12, seats_per_bench: 2 },
+    { room_id: 'R3', room_name: 'Room 3', num_benches: 6, seats_per_bench: 2, priority: 0 }
+  ];
+  const totals = result => result.room_summaries.map(s => s.total);
+
+  ['greedy', 'csp', 'anneal'].forEach(algorithm => {
+    const sequential = schedule(students, rooms, { algorithm, fill_strategy: 'sequential' });
+    assert(sequential.success, `${algorithm} sequential fill should succeed`);
+    assertEqual(totals(sequential).join(','), '12,0,12', `${algorithm} should fill the priority room, then in order`);
+    assert(sequential.room_summaries[1].unused, 'Room 2 should be reported unused');
+
+    const fewest = schedule(students, rooms, { algorithm, fill_strategy: 'min_rooms' });
+    assert(fewest.success, `${algorithm} min_rooms should succeed`);
+    assertEqual(totals(fewest).join(','), '0,24,0', `${algorithm} should use only the largest room`);
+  });
+
+  const ratio = schedule(students, rooms, { fill_strategy: 'balanced_by_ratio' });
+  assertEqual(totals(ratio).join(','), '6,12,6', 'Rooms should fill in proportion to capacity');
+  assert(!schedule(students, rooms, { fill_strategy: 'random' }).success, 'Unknown strategies should be rejected');
+})) passed++; else failed++;
+
+// Test 25: Subject tag rules keep subjects in matching rooms
+if (runTest('Subject tag rules and retag suggestions', () => {
+  const cohort = (count, subject, prefix) => Array(count).fill(null).map((_, i) => ({
+    roll: `${prefix}-${i + 1}`,
+    name: `S${i}`,
+    subject
+  }));
+  const rooms = [
+    { room_id: 'LAB', room_name: 'Lab 1', num_benches: 4, seats_per_bench: 2, tags: 'Lab;AC' },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 10, seats_per_bench: 2, tags: ['ac'] },
+    { room_id: 'R3', room_name: 'Room 3', num_benches: 10, seats_per_bench: 2 }
+  ];
+  const constraints = {
+    no_same_subject_bench: true,
+    subject_tags: { subjects: { BCA: { required: ['lab'] }, BBA: { forbidden: ['lab'] } } }
+  };
+  const students = cohort(4, 'BCA', '1061').concat(cohort(10, 'BBA', '1043'));
+
+  ['greedy', 'csp', 'anneal'].forEach(algorithm => {
+    const result = schedule(students, rooms, { algorithm, constraints });
+    assert(result.success, `${algorithm} should respect tag rules`);
+    result.assignments.forEach(a => {
+      assertEqual(a.room_id === 'LAB', a.student.subject === 'BCA', `${algorithm} should keep BCA in the lab and BBA out`);
+    });
+  });
+
+  const crowded = schedule(cohort(10, 'BCA', '1061').concat(cohort(10, 'BBA', '1043')), rooms, { algorithm: 'csp', constraints });
+  assert(!crowded.success, 'Ten BCA students cannot share one four-bench lab');
+  const blocking = crowded.diagnostics.explanation.blocking_subjects;
+  assertEqual(blocking.length, 1, 'Only BCA should be blocked');
+  assertEqual(blocking[0].rooms.join(','), 'LAB', 'BCA may only use the lab');
+  assertEqual(blocking[0].shortfall, 6, 'BCA is six benches short');
+  const retag = crowded.diagnostics.suggestions.find(s => s.action === 'tag_room');
+  assert(retag && retag.room_id === 'R2' && retag.add_tags.join() === 'lab', 'Should suggest tagging Room 2 as a lab');
+})) passed++; else failed++;
+
+// Test 26: Locked seats stay fixed when the scheduler runs again
+if (runTest('Locked seats survive re-runs', () => {
+  const students = ['BBA', 'BCom', 'BCA'].flatMap((subject, p) => Array(6).fill(null).map((_, i) => ({
+    roll: `${p}-${i + 1}`,
+    name: `S${i}`,
+    subject
+  })));
+  const rooms = [
+    { room_id: 'R1', room_name: 'Room 1', num_benches: 6, seats_per_bench: 2 },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 6, seats_per_bench: 2 }
+  ];
+  const locked = [
+    { room_id: 'R1', bench_number: 1, position: 'left', roll: '2-1' },
+    { room_id: 'R2', bench_number: 3, position: 'left', roll: '0-1' },
+    { room_id: 'R2', bench_number: 3, position: 'right', roll: '0-2' }
+  ];
+  const constraints = { no_same_subject_bench: true, no_same_subject_adjacent_front_back: true };
+
+  ['greedy', 'csp', 'anneal'].forEach(algorithm => {
+    const result = schedule(students, rooms, { algorithm, constraints, locked, seed: 3 });
+    assert(result.success, `${algorithm} should seat everyone around the locked seats`);
+    assertEqual(result.assignments.length, students.length, `${algorithm} should seat every student once`);
+    locked.forEach(seat => {
+      const a = result.assignments.find(x => x.student.roll === seat.roll);
+      assert(a.locked && a.room_id === seat.room_id && a.bench_number === seat.bench_number && a.position === seat.position,
+        `${algorithm} should keep ${seat.roll} on its locked seat`);
+    });
+    const mate = result.assignments.find(a => a.room_id === 'R1' && a.bench_number === 1 && a.position === 'right');
+    assert(!mate || mate.student.subject !== 'BCA', `${algorithm} should respect the locked student's bench`);
+    const flagged = result.diagnostics.locked_violations.map(v => `${v.roll}:${v.constraint}`).sort();
+    assertEqual(flagged.join(','), '0-1:no_same_subject_bench,0-2:no_same_subject_bench', `${algorithm} should flag the hand-placed pair`);
+  });
+
+  const invalid = schedule(students, rooms, { locked: [{ room_id: 'R1', bench_number: 9, position: 'left', roll: '0-1' }] });
+  assert(!invalid.success && invalid.diagnostics.conflicts[0].type === 'validation', 'Seats outside the room cannot be locked');
+})) passed++; else failed++;
+
+// Test 27: Late registrants fill empty seats and move as few students as possible
+if (runTest('Late registrants are inserted without a reshuffle', () => {
+  const rooms = [{ room_id: 'R1', room_name: 'Room 1', num_benches: 3, seats_per_bench: 2 }];
+  const seat = (bench, position, roll, subject) => ({
+    room_id: 'R1',
+    room_name: 'Room 1',
+    bench_number: bench,
+    position,
+    student: { roll, name: roll, subject }
+  });
+  const existing = [
+    seat(1, 'left', 'x1', 'BBA'),
+    seat(1, 'right', 'x2', 'BCA'),
+    seat(2, 'left', 'x3', 'BBA'),
+    seat(3, 'left', 'x4', 'BCA'),
+    seat(3, 'right', 'x5', 'BCom')
+  ];
+
+  const direct = insertStudents(existing, [{ roll: 'n1', name: 'N', subject: 'BCom' }], rooms);
+  assert(direct.success, 'An empty seat should take the late registrant');
+  assertEqual(direct.changes.length, 1, 'Only the new seat should change');
+  assertEqual(direct.changes[0].to.bench_number, 2, 'The only empty seat is on bench 2');
+
+  const moved = insertStudents(existing, [{ roll: 'n1', name: 'N', subject: 'BBA' }], rooms);
+  assert(moved.success, 'Moving one student should make room');
+  assertEqual(moved.changes.map(c => `${c.type}:${c.roll}`).join(','), 'moved:x4,added:n1', 'One move, then the new seat');
+  assertEqual(moved.assignments.length, 6, 'Everyone should stay seated');
+  assertEqual(moved.affected_rooms.join(','), 'R1', 'The room should need a reprint');
+  assert(existing[3].bench_number === 3, 'The caller\'s assignments should not be changed');
+
+  const locked = insertStudents(existing.map(a => ({ ...a, locked: true })), [{ roll: 'n1', name: 'N', subject: 'BBA' }], rooms);
+  assert(!locked.success, 'Locked students cannot be moved to make room');
+
+  const full = insertStudents(direct.assignments, [{ roll: 'n2', name: 'N', subject: 'BCom' }], rooms);
+  assert(!full.success && full.diagnostics.conflicts[0].type === 'capacity', 'A full room should report capacity');
+  assert(!insertStudents(existing, [{ roll: 'x1', name: 'X', subject: 'BBA' }], rooms).success, 'Seated rolls cannot be inserted again');
+})) passed++; else failed++;
+
+// Test 28: Evacuating a room relocates its students, pulling in standby rooms
+if (runTest('Room evacuation relocates students', () => {
+  const students = ['BBA', 'BCA'].flatMap((subject, p) => Array(5).fill(null).map((_, i) => ({
+    roll: `${p}-${i + 1}`,
+    name: `S${i}`,
+    subject
+  })));
+  const rooms = [
+    { room_id: 'R1', room_name: 'Room 1', num_benches: 4, seats_per_bench: 2 },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 4, seats_per_bench: 2 }
+  ];
+  const base = schedule(students, rooms, { algorithm: 'csp' });
+  assert(base.success, 'Base arrangement should succeed');
+  const evacuees = base.assignments.filter(a => a.room_id === 'R1').map(a => a.student.roll).sort();
+
+  const stranded = relocateRoom(base.assignments, 'R1', rooms);
+  assert(!stranded.success, 'Room 2 alone has too few spare seats');
+
+  const standby = [
+    { room_id: 'S1', room_name: 'Standby 1', num_benches: 2, seats_per_bench: 2 },
+    { room_id: 'S2', room_name: 'Standby 2', num_benches: 6, seats_per_bench: 2 }
+  ];
+  const result = relocateRoom(base.assignments, 'R1', rooms, { standby_rooms: standby });
+  assert(result.success, 'A standby room should make room for everyone');
+  assertEqual(result.standby_used.join(','), 'S1', 'Only the first standby room is needed');
+  assertEqual(result.assignments.length, students.length, 'Everyone should stay seated');
+  assert(result.assignments.every(a => a.room_id !== 'R1'), 'Nobody should be left in the evacuated room');
+  const relocated = result.relocations.filter(r => r.type === 'relocated');
+  assertEqual(relocated.map(r => r.roll).sort().join(','), evacuees.join(','), 'Every evacuee should be listed');
+  assert(relocated.every(r => r.from.room_id === 'R1'), 'Relocations should say where students came from');
+  assert(!result.affected_rooms.includes('R1') && result.affected_rooms.includes('S1'), 'Only rooms that gained students need reprints');
+  const report = evaluateConstraints(result.assignments, rooms.concat(standby));
+  assertEqual(report.hard.length, 0, 'The bench rule should still hold');
+
+  assert(!relocateRoom(base.assignments, 'R9', rooms).success, 'Unknown rooms cannot be evacuated');
+})) passed++; else failed++;
+
+// Test 29: Stability mode keeps students on their baseline seats
+if (runTest('Stability mode minimises churn', () => {
+  const students = ['BBA', 'BCom', 'BCA'].flatMap((subject, p) => Array(8).fill(null).map((_, i) => ({
+    roll: `${p}-${i + 1}`,
+    name: `S${i}`,
+    subject
+  })));
+  const rooms = [
+    { room_id: 'R1', room_name: 'Room 1', num_benches: 8, seats_per_bench: 2 },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 8, seats_per_bench: 2 }
+  ];
+  const next = students
+    .filter(s => s.roll !== '0-3' && s.roll !== '1-5')
+    .concat([{ roll: '2-9', name: 'L', subject: 'BCA' }, { roll: '0-9', name: 'L', subject: 'BBA' }]);
+
+  ['greedy', 'csp', 'anneal'].forEach(algorithm => {
+    const base = schedule(students, rooms, { algorithm, seed: 5 });
+    const stable = schedule(next, rooms, { algorithm, seed: 5, baseline: base.assignments });
+    assert(stable.success, `${algorithm} stable re-run should succeed`);
+    assertEqual(stable.churn.count, 0, `${algorithm} should keep everyone on their seat`);
+    assertEqual(stable.churn.added, 2, 'Two students joined');
+    assertEqual(stable.churn.removed, 2, 'Two students left');
+    assertEqual(stable.assignments.length, next.length, 'Everyone should be seated');
+  });
+
+  // A baseline seat that now breaks the bench rule is given up
+  const base = schedule(students, rooms, { algorithm: 'csp' });
+  const benchMate = base.assignments.find(a => a.room_id === 'R1' && a.bench_number === 1 && a.position === 'right');
+  const clash = base.assignments.find(a => a.room_id === 'R1' && a.bench_number === 1 && a.position === 'left').student.subject;
+  const changed = students.map(s => (s.roll === benchMate.student.roll ? { ...s, subject: clash } : s));
+  const stable = schedule(changed, rooms, { algorithm: 'csp', baseline: base.assignments });
+  assert(stable.success && !stable.churn.full_rerun, 'A small change should not need a full re-run');
+  assert(stable.churn.count <= 1, 'Only the student whose subject changed should move');
+  assert(!schedule(students, rooms).churn, 'No churn report without a baseline');
+})) passed++; else failed++;
+
+// Test 30: Hand edits swap both seats and check the constraints
+if (runTest('Seat edits are validated', () => {
+  const rooms = [{ room_id: 'R1', room_name: 'Room 1', num_benches: 3, seats_per_bench: 2 }];
+  const seat = (bench_number, position) => ({ room_id: 'R1', bench_number, position });
+  const sit = (roll, subject, bench_number, position, locked = false) => ({
+    room_id: 'R1', room_name: 'Room 1', bench_number, position, locked, student: { roll, name: roll, subject }
+  });
+  const assignments = [
+    sit('A1', 'BCA', 1, 'left'), sit('B1', 'BBA', 1, 'right'),
+    sit('A2', 'BCA', 2, 'left'), sit('B2', 'BBA', 2, 'right'),
+    sit('A3', 'BCA', 3, 'left', true)
+  ];
+  const rollAt = (result, bench, position) => result.assignments
+    .find(a => a.bench_number === bench && a.position === position)?.student.roll;
+
+  const swapped = editSeats(assignments, rooms, { action: 'swap', from: seat(1, 'left'), to: seat(2, 'left') });
+  assert(swapped.success, 'Swapping two BCA students keeps the bench rule');
+  assertEqual(rollAt(swapped, 1, 'left'), 'A2', 'A2 should take A1\'s seat');
+  assertEqual(rollAt(swapped, 2, 'left'), 'A1', 'A1 should take A2\'s seat');
+  assertEqual(swapped.assignments.length, assignments.length, 'Nobody should be lost in a swap');
+  assertEqual(swapped.changes.length, 2, 'Both students should be listed');
+
+  const clash = { action: 'swap', from: seat(1, 'right'), to: seat(2, 'left') };
+  const refused = editSeats(assignments, rooms, clash);
+  assert(!refused.success && refused.violations.length > 0, 'Two BCA students on one bench should be refused');
+  assertEqual(rollAt(refused, 1, 'right'), 'B1', 'A refused edit should leave the seats alone');
+  const warned = editSeats(assignments, rooms, clash, { on_violation: 'warn' });
+  assert(warned.success && warned.violations.length > 0, 'With warn the edit goes through and is flagged');
+
+  const moved = editSeats(assignments, rooms, { action: 'move', from: seat(2, 'right'), to: seat(3, 'right') });
+  assert(moved.success && rollAt(moved, 3, 'right') === 'B2' && !rollAt(moved, 2, 'right'), 'B2 should move to the empty seat');
+  assert(!editSeats(assignments, rooms, { action: 'move', from: seat(1, 'left'), to: seat(2, 'right') }).success, 'Moves need an empty seat');
+  assert(!editSeats(assignments, rooms, { action: 'move', from: seat(1, 'left'), to: seat(4, 'left') }).success, 'Bench 4 does not exist');
+  assert(!editSeats(assignments, rooms, { action: 'move', from: seat(1, 'left'), to: seat(3, 'seat_3') }).success, 'Seat 3 does not exist');
+  assert(!editSeats(assignments, rooms, { action: 'swap', from: seat(1, 'left'), to: seat(3, 'left') }).success, 'Locked seats stay put');
+  const alternate = editSeats(assignments, rooms, { action: 'move', from: seat(2, 'right'), to: seat(3, 'right') }, { occupancy: 'alternate' });
+  assert(!alternate.success, 'Seats closed by the occupancy pattern cannot be used');
+
+  const unassigned = editSeats(assignments, rooms, { action: 'unassign', from: seat(2, 'right') });
+  assert(unassigned.success && unassigned.assignments.length === assignments.length - 1, 'Unassigning frees the seat');
+})) passed++; else failed++;
+
+// Test 31: Each subject stays inside one building
+if (runTest('Subjects kept within one building', () => {
+  const rooms = [
+    { room_id: 'A1', room_name: 'A-101', building: 'Arts', num_benches: 6, seats_per_bench: 2 },
+    { room_id: 'S1', room_name: 'S-101', building: 'Science', num_benches: 5, seats_per_bench: 2 },
+    { room_id: 'A2', room_name: 'A-102', building: 'Arts', num_benches: 6, seats_per_bench: 2 },
+    { room_id: 'S2', room_name: 'S-102', building: 'Science', num_benches: 5, seats_per_bench: 2 }
+  ];
+  const students = [];
+  ['BCA', 'BBA', 'BSC', 'BA'].forEach((subject, s) => {
+    for (let i = 1; i <= 8; i++) students.push({ roll: `${s + 1}${String(i).padStart(2, '0')}`, name: `${subject} ${i}`, subject });
+  });
+  const constraints = { no_same_subject_bench: true, subject_building: true };
+  const buildingOf = id => rooms.find(r => r.room_id === id).building;
+
+  ['greedy', 'csp'].forEach(algorithm => {
+    const result = schedule(students, rooms, { algorithm, constraints });
+    assert(result.success, `${algorithm} should seat everyone`);
+    ['BCA', 'BBA', 'BSC', 'BA'].forEach(subject => {
+      const used = new Set(result.assignments.filter(a => a.student.subject === subject).map(a => buildingOf(a.room_id)));
+      assertEqual(used.size, 1, `${algorithm}: ${subject} should use one building`);
+    });
+    assertEqual(Object.keys(result.diagnostics.subject_buildings).length, 4, 'Every subject gets a building');
+    assertEqual(result.room_summaries.map(s => s.room_id).join(','), 'A1,A2,S1,S2', 'Summaries are grouped by building');
+    assertEqual(result.room_summaries[0].building, 'Arts', 'Summaries carry the building');
+  });
+
+  const pinned = schedule(students, rooms, { constraints: { ...constraints, subject_building: { buildings: { BCA: 'Science' } } } });
+  assert(pinned.assignments.filter(a => a.student.subject === 'BCA').every(a => buildingOf(a.room_id) === 'Science'), 'A named building is kept');
+
+  const mixed = [
+    { room_id: 'A1', room_name: 'A-101', bench_number: 1, position: 'left', student: students[0] },
+    { room_id: 'S1', room_name: 'S-101', bench_number: 1, position: 'left', student: students[1] }
+  ];
+  const report = evaluateConstraints(mixed, rooms, { subject_building: true });
+  assertEqual(report.hard.length, 1, 'A subject split across buildings is reported');
+})) passed++; else failed++;
+
+// Test 32: A shift-specific availability entry overrides the day-level one
+if (runTest('Shift availability overrides the whole day', () => {
+  const room = { room_id: 'R1', room_name: 'Room 1', capacity: 20, subjects: ['BBA'] };
+  const slots = [
+    { slot_id: 1, date: '2026-11-03', shift: 'morning', rooms: [room] },
+    { slot_id: 2, date: '2026-11-03', shift: 'afternoon', rooms: [room] },
+    { slot_id: 3, date: '2026-11-04', shift: 'morning', rooms: [room] }
+  ];
+  const invigilators = [
+    { staff_id: 'T1', name: 'Teacher 1', subjects: [], availability: [
+      { date: '2026-11-03', shift: '', available: false },
+      { date: '2026-11-03', shift: 'afternoon', available: true }
+    ] },
+    { staff_id: 'T2', name: 'Teacher 2', subjects: [], availability: [
+      { date: '2026-11-04', shift: 'morning', available: false },
+      { date: '2026-11-04', shift: '', available: true }
+    ] }
+  ];
+
+  const result = assignInvigilators(slots, invigilators);
+  const staffed = slotId => result.duties.filter(d => d.slot_id === slotId).map(d => d.staff_id).join(',');
+  assertEqual(staffed(1), 'T2', 'A day off keeps staff out of the morning');
+  assertEqual(staffed(2), 'T1', 'Availability for the afternoon wins over the day off');
+  assertEqual(staffed(3), 'T1', 'A shift off wins over availability for the day');
+})) passed++; else failed++;
+
+// Test 33: Re-runs, late inserts and seat edits keep out of an evacuated room
+if (runTest('Evacuated rooms stay empty after a re-run', () => {
+  const students = ['BBA', 'BCA'].flatMap((subject, p) => Array(5).fill(null).map((_, i) => ({
+    roll: `${p}-${i + 1}`,
+    name: `S${i}`,
+    subject
+  })));
+  const rooms = [
+    { room_id: 'R1', room_name: 'Room 1', num_benches: 4, seats_per_bench: 2 },
+    { room_id: 'R2', room_name: 'Room 2', num_benches: 4, seats_per_bench: 2 },
+    { room_id: 'S1', room_name: 'Standby 1', num_benches: 4, seats_per_bench: 2 }
+  ];
+  const base = schedule(students, rooms.slice(0, 2), { algorithm: 'csp' });
+  const evacuated = relocateRoom(base.assignments, 'R1', rooms.slice(0, 2), { standby_rooms: rooms.slice(2) });
+  assert(evacuated.success, 'Evacuation should succeed');
+  const lockedSeat = evacuated.assignments.find(a => a.room_id === 'S1');
+  const locked = [{ ...lockedSeat, roll: lockedSeat.student.roll }];
+
+  const rerun = schedule(students, rooms, { algorithm: 'csp', locked, unavailable_rooms: ['R1'] });
+  assert(rerun.success, 'The re-run should seat everyone');
+  assertEqual(rerun.assignments.length, students.length, 'Everyone should be seated');
+  assert(rerun.assignments.every(a => a.room_id !== 'R1'), 'Nobody should be put back in the evacuated room');
+  assert(!rerun.room_summaries.some(summary => summary.room_id === 'R1'), 'The evacuated room should not be reported');
+
+  const lockedInside = schedule(students, rooms, { locked: [{ room_id: 'R1', bench_number: 1, position: 'left', roll: '0-1' }], unavailable_rooms: ['R1'] });
+  assert(!lockedInside.success, 'A seat locked in an unavailable room is refused');
+  assert(lockedInside.diagnostics.conflicts[0].message.includes('unavailable room R1'), 'The refusal should name the room');
+
+  const late = insertStudents(rerun.assignments, [{ roll: 'n1', name: 'N', subject: 'BBA' }], rooms, { unavailable_rooms: ['R1'] });
+  assert(late.success && late.changes.every(c => c.to.room_id !== 'R1'), 'Late registrants should not go into the evacuated room');
+
+  const moving = rerun.assignments.find(a => !a.locked);
+  const edit = editSeats(rerun.assignments, rooms, {
+    action: 'move',
+    from: { room_id: moving.room_id, bench_number: moving.bench_number, position: moving.position },
+    to: { room_id: 'R1', bench_number: 4, position: 'right' }
+  }, { constraints: {}, unavailable_rooms: ['R1'] });
+  assert(!edit.success, 'Moving a student into the evacuated room is refused');
+})) passed++; else failed++;
+
 console.log(`\n=== Test Results ===`);
 console.log(`Passed: ${passed}`);
 console.log(`Failed: ${failed}`);
@@ -3,26 +3,66 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const sqlite3 = require('sqlite3').verbose();
-const { schedule } = require('./scheduler');
+const { schedule, insertStudents, relocateRoom, editSeats, scheduleTimetable, assignInvigilators, generateRoomSummaries, normalizeRoom, normalizeTags, roomCapacity } = require('./scheduler');
 const path = require('path');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 const PDFDocument = require('pdfkit');
+const { migrate } = require('./migrations');
+const { readRecords, parseStudentCsv, parseRoomCsv, formatCsv } = require('./csv');
+const { readWorkbook, writeWorkbook, findSheet } = require('./xlsx');
+const { hashPassword, verifyPassword, validateAccount, newToken, hashToken } = require('./auth');
 
 const app = express();
 const upload = multer({ storage: multer.memoryStorage() });
 
+const config = loadConfig();
+
+// Cross-origin requests are only answered for the origins listed in
+// CORS_ORIGINS (comma-separated) or `cors_origins` in config.json. The plain
+// UI is served from this server itself and needs no entry; list e.g.
+// http://localhost:3000 for a separately hosted client.
+const corsOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : config.cors_origins || [];
+
+// Behind a reverse proxy, TRUST_PROXY (hop count or addresses, as Express
+// takes it) lets rate limits see each client's own address
+const trustProxy = process.env.TRUST_PROXY ?? config.trust_proxy;
+if (trustProxy !== undefined) {
+  app.set('trust proxy', /^\d+$/.test(String(trustProxy)) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigins.length ? corsOrigins : false }));
 app.use(express.json());
-app.use(express.static('public'));
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/api', authenticate);
 
 app.get('/sample-students.csv', (req, res) => {
   res.sendFile(path.join(__dirname, 'sample-students.csv'));
 });
 
-function renderRoomAssignmentSection(doc, room, assignments, date) {
+// The plain UI, from the same origin as the API it calls
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+['app.js', 'csv.js', 'scheduler.js'].forEach(file => {
+  app.get(`/${file}`, (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
+});
+
+function renderRoomAssignmentSection(doc, room, assignments, date, invigilators = []) {
   doc.font('Helvetica-Bold').fontSize(18).text(room.room_name.toUpperCase());
   doc.fontSize(12).text(`Room ID: ${room.room_id}`);
+  if (room.building) {
+    doc.text(`Building: ${[room.campus, room.building, room.floor && `Floor ${room.floor}`].filter(Boolean).join(', ')}`);
+  }
   doc.text(`Exam Date: ${date}`);
+  if (invigilators.length) {
+    doc.text(`Invigilators: ${invigilators.map(duty => `${duty.name} (${duty.staff_id})`).join(', ')}`);
+  }
   doc.text(`Total Students: ${assignments.length}`);
   doc.moveDown();
 
@@ -70,229 +110,1854 @@ function renderRoomAssignmentSection(doc, room, assignments, date) {
   doc.moveDown(1);
 }
 
-// Initialize database
-const db = new sqlite3.Database(':memory:'); // Use ':memory:' for demo, or './exam.db' for persistence
+function renderDutyChartSection(doc, title, duties) {
+  doc.font('Helvetica-Bold').fontSize(18).text('INVIGILATION DUTY CHART');
+  doc.fontSize(12).text(title);
+  doc.text(`Total Duties: ${duties.length}`);
+  doc.moveDown();
 
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS students (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    roll TEXT UNIQUE,
-    name TEXT,
-    subject TEXT,
-    preferred_room TEXT
-  )`);
-  
-  db.run(`CREATE TABLE IF NOT EXISTS rooms (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    room_id TEXT UNIQUE,
-    room_name TEXT,
-    num_benches INTEGER,
-    seats_per_bench INTEGER
-  )`);
-  
-  db.run(`CREATE TABLE IF NOT EXISTS assignments (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    session_id TEXT,
-    room_id TEXT,
-    bench_number INTEGER,
-    position TEXT,
-    student_roll TEXT,
-    locked INTEGER DEFAULT 0
-  )`);
-  
-  db.run(`CREATE TABLE IF NOT EXISTS sessions (
-    id TEXT PRIMARY KEY,
-    date TEXT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    constraints TEXT
-  )`);
-});
-
-// Helper function to parse CSV
-function parseCSV(content) {
-  const lines = content.trim().split('\n');
-  const headers = lines[0].split(',').map(h => h.trim());
-  
-  const data = [];
-  for (let i = 1; i < lines.length; i++) {
-    if (lines[i].trim() === '') continue;
-    
-    const values = lines[i].split(',').map(v => v.trim());
-    const obj = {};
-    headers.forEach((h, idx) => {
-      obj[h] = values[idx] || '';
+  const columnWidths = [90, 80, 140, 210];
+  const headers = ['Date', 'Shift', 'Room', 'Invigilators'];
+
+  // One row per room per slot, listing everyone on duty there
+  const rows = [];
+  const byRoom = {};
+  duties.forEach(duty => {
+    const key = `${duty.slot_id || ''}:${duty.room_id}`;
+    if (!byRoom[key]) {
+      byRoom[key] = { date: duty.date, shift: duty.shift || '-', room: duty.room_name || duty.room_id, staff: [] };
+      rows.push(byRoom[key]);
+    }
+    byRoom[key].staff.push(`${duty.name} (${duty.staff_id})`);
+  });
+
+  const drawRow = (values, isHeader = false) => {
+    let x = doc.page.margins.left;
+    const y = doc.y;
+    let bottom = y;
+    values.forEach((text, idx) => {
+      doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(isHeader ? 11 : 10)
+        .text(text, x, y, { width: columnWidths[idx], continued: false });
+      bottom = Math.max(bottom, doc.y);
+      x += columnWidths[idx];
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = bottom;
+    doc.moveDown(0.6);
+  };
+
+  const drawHeader = () => {
+    drawRow(headers, true);
+    doc.moveTo(doc.page.margins.left, doc.y)
+      .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+      .stroke();
+    doc.moveDown(0.2);
+  };
+
+  drawHeader();
+  rows.forEach(row => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow([row.date, row.shift, row.room, row.staff.join(', ')]);
+  });
+
+  doc.moveDown(1);
+}
+
+// Database location: DB_PATH, else `database` in config.json (or the file
+// named by CONFIG_PATH), else ./exam.db. DB_PATH=:memory: gives a throwaway
+// database. The schema is created and upgraded by migrations.js at startup.
+function loadConfig() {
+  const configPath = process.env.CONFIG_PATH || path.join(__dirname, 'config.json');
+  if (!fs.existsSync(configPath)) return {};
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+function resolveDbPath(dbPath) {
+  if (dbPath === ':memory:') return dbPath;
+  const resolved = path.resolve(__dirname, dbPath);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  return resolved;
+}
+
+const dbPath = resolveDbPath(process.env.DB_PATH || config.database || 'exam.db');
+const db = new sqlite3.Database(dbPath);
+// Statements run in the order they are issued, so one issued before a
+// transaction begins cannot end up inside it
+db.serialize();
+
+// Every request shares the one connection, so only one transaction may be
+// open on it. Statements from outside the running transaction wait for it to
+// finish rather than being committed or rolled back with it.
+const transactionScope = new AsyncLocalStorage();
+let runningTransaction = null;
+
+async function outsideTransaction() {
+  if (transactionScope.getStore()) return;
+  while (runningTransaction) await runningTransaction;
+}
+
+/**
+ * Run `fn` in a transaction: committed when it resolves, rolled back when it
+ * throws. Transactions queue behind each other; inside one, dbRun/dbGet/dbAll
+ * (and nested withTransaction calls) belong to it.
+ */
+async function withTransaction(fn) {
+  if (transactionScope.getStore()) return fn();
+  while (runningTransaction) await runningTransaction;
+  let finish;
+  runningTransaction = new Promise(resolve => {
+    finish = resolve;
+  });
+  try {
+    return await transactionScope.run(true, async () => {
+      await dbRun('BEGIN TRANSACTION');
+      try {
+        const result = await fn();
+        await dbRun('COMMIT');
+        return result;
+      } catch (error) {
+        await dbRun('ROLLBACK');
+        throw error;
+      }
+    });
+  } finally {
+    runningTransaction = null;
+    finish();
+  }
+}
+
+// Promise wrappers for routes that chain several queries
+async function dbRun(sql, params = []) {
+  await outsideTransaction();
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
     });
-    data.push(obj);
+  });
+}
+
+async function dbGet(sql, params = []) {
+  await outsideTransaction();
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+async function dbAll(sql, params = []) {
+  await outsideTransaction();
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function slotLabel(slot) {
+  return slot.shift ? `${slot.date} (${slot.shift})` : slot.date;
+}
+
+/**
+ * Text made safe to put into HTML, names and subjects being uploaded data
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+/**
+ * Group assignment rows into one section per slot and room, in row order.
+ * Rows from plain sessions have no slot and group by room alone. Rows joined
+ * with their room keep its campus, building and floor.
+ */
+function groupBySlotAndRoom(assignments) {
+  const groups = [];
+  const byKey = {};
+  assignments.forEach(assign => {
+    const key = `${assign.slot_id || ''}:${assign.room_id}`;
+    if (!byKey[key]) {
+      byKey[key] = {
+        slot_id: assign.slot_id || null,
+        room: {
+          room_id: assign.room_id,
+          room_name: assign.room_name,
+          campus: assign.campus,
+          building: assign.building,
+          floor: assign.floor
+        },
+        date: assign.slot_date ? slotLabel({ date: assign.slot_date, shift: assign.slot_shift }) : null,
+        assignments: []
+      };
+      groups.push(byKey[key]);
+    }
+    byKey[key].assignments.push(assign);
+  });
+  return groups;
+}
+
+/**
+ * Duties (from loadSessionDuties) of one group from groupBySlotAndRoom
+ */
+function dutiesInGroup(duties, group) {
+  return duties.filter(duty => (duty.slot_id || null) === group.slot_id && duty.room_id === group.room.room_id);
+}
+
+const INVIGILATOR_COLUMNS = {
+  staff_id: ['staffid', 'staffno', 'employeeid', 'id'],
+  name: ['name', 'staffname', 'fullname'],
+  subjects: ['subjects', 'subject'],
+  email: ['email', 'emailaddress', 'mail']
+};
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Session export schema. Each column's name and meaning stay fixed within a
+// schema version: new columns are only added at the end, and renaming,
+// removing or changing one bumps EXPORT_SCHEMA_VERSION.
+const EXPORT_SCHEMA_VERSION = 1;
+const EXPORT_COLUMNS = {
+  session_id: 'Session the seat belongs to',
+  slot_id: 'Timetable slot, empty for single-sitting sessions',
+  date: 'Exam date: the slot date for timetables, else the session date',
+  shift: 'Slot shift, empty when the slot has none',
+  room_id: 'Room ID',
+  room_name: 'Room name',
+  campus: 'Campus of the room',
+  building: 'Building of the room',
+  floor: 'Floor of the room',
+  bench_number: 'Bench number in the room, from 1',
+  position: 'Seat on the bench: left, right or seat_N',
+  locked: 'Whether the seat is locked against re-runs (true/false)',
+  roll: 'Student roll number',
+  name: 'Student name',
+  subject: 'Subject (the paper\'s subject for timetables)',
+  preferred_room: 'Room the student asked for, empty when none'
+};
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * What an import route should parse: CSV text, or the rows of one sheet when
+ * the uploaded file is an .xlsx workbook (`sheet` picks it by name or 1-based
+ * position). `columns` maps column names to the file's own headers, as an
+ * object or a JSON string in multipart forms. Throws on unusable input.
+ */
+function readImport(req) {
+  const field = name => (req.body[name] !== undefined ? req.body[name] : req.query[name]);
+  let mapping = field('columns') || {};
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw new Error('columns must be a JSON object such as {"roll": "Reg No"}');
+    }
+  }
+  
+  const file = req.file;
+  if (file && (file.mimetype === XLSX_TYPE || /\.xlsx$/i.test(file.originalname || ''))) {
+    const sheets = readWorkbook(file.buffer);
+    const sheet = findSheet(sheets, field('sheet'));
+    if (!sheet) {
+      throw new Error(`Sheet ${field('sheet')} not found; the workbook has: ${sheets.map(s => s.name).join(', ')}`);
+    }
+    return { input: sheet.rows, mapping, sheet: sheet.name, sheets: sheets.map(s => s.name) };
   }
+  if (file) return { input: file.buffer.toString('utf-8'), mapping };
+  if (req.body.csv_content) return { input: req.body.csv_content, mapping };
+  throw new Error('No CSV or .xlsx file or content provided');
+}
+
+function splitList(value) {
+  return String(value || '').split(/[;|]/).map(v => v.trim()).filter(Boolean);
+}
+
+const ROOM_UPSERT = 'INSERT OR REPLACE INTO rooms (room_id, room_name, num_benches, seats_per_bench, bench_rows, bench_columns, tags, campus, building, floor) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+
+function roomParams(room) {
+  const r = normalizeRoom(room);
+  const place = value => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+  return [r.room_id, r.room_name, r.num_benches, r.seats_per_bench, r.bench_rows, r.bench_columns, r.tags.join(';'), place(r.campus), place(r.building), place(r.floor)];
+}
+
+/**
+ * Stored subject rules as the params of the `subject_tags` constraint
+ */
+async function loadSubjectRules() {
+  const rows = await dbAll('SELECT * FROM subject_rules');
+  const subjects = {};
+  rows.forEach(row => {
+    subjects[row.subject] = { required: splitList(row.required_tags), forbidden: splitList(row.forbidden_tags) };
+  });
+  return subjects;
+}
+
+/**
+ * Constraints for a run: the request's own, plus the stored subject rules
+ * unless the request sets `subject_tags` itself
+ */
+async function withSubjectRules(constraints) {
+  const resolved = constraints || { no_same_subject_bench: true };
+  if (resolved.subject_tags !== undefined) return resolved;
+  const subjects = await loadSubjectRules();
+  return Object.keys(subjects).length ? { ...resolved, subject_tags: { subjects } } : resolved;
+}
+
+/**
+ * Seats of a plain (non-timetable) session as scheduler assignments
+ */
+async function loadSeated(sessionId) {
+  const rows = await dbAll(`
+    SELECT a.*, s.name, COALESCE(p.subject, s.subject) AS subject, s.preferred_room, r.room_name
+    FROM assignments a
+    JOIN students s ON s.roll = a.student_roll
+    LEFT JOIN papers p ON p.id = a.paper_id
+    LEFT JOIN rooms r ON r.room_id = a.room_id
+    WHERE a.session_id = ?
+    ORDER BY a.slot_id, a.room_id, a.bench_number, a.position
+  `, [sessionId]);
+  return rows.map(row => ({
+    room_id: row.room_id,
+    room_name: row.room_name,
+    bench_number: row.bench_number,
+    position: row.position,
+    locked: Boolean(row.locked),
+    ...(row.slot_id ? { slot_id: row.slot_id } : {}),
+    student: { roll: row.student_roll, name: row.name, subject: row.subject, preferred_room: row.preferred_room }
+  }));
+}
+
+function sessionRooms(sessionId) {
+  return dbAll('SELECT * FROM rooms WHERE room_id IN (SELECT DISTINCT room_id FROM assignments WHERE session_id = ?)', [sessionId]);
+}
+
+/**
+ * Ids of the rooms evacuated from a session, which nothing may seat anyone in
+ */
+async function unavailableRooms(sessionId) {
+  const rows = await dbAll('SELECT room_id FROM session_unavailable_rooms WHERE session_id = ? ORDER BY room_id', [sessionId]);
+  return rows.map(row => row.room_id);
+}
+
+/**
+ * Seats of a session keyed by roll, in the form the audit log stores them
+ */
+async function seatSnapshot(sessionId) {
+  const rows = await dbAll('SELECT * FROM assignments WHERE session_id = ? AND slot_id IS NULL', [sessionId]);
+  return new Map(rows.map(row => [row.student_roll, {
+    room_id: row.room_id,
+    bench_number: row.bench_number,
+    position: row.position,
+    locked: Boolean(row.locked)
+  }]));
+}
+
+function actorOf(req) {
+  return req.user ? req.user.username : 'anonymous';
+}
+
+/**
+ * Append the seats that differ between two snapshots to the audit log as one
+ * change. Resolves with the change id, or null when nothing changed.
+ */
+async function recordChange(req, sessionId, action, before, after, reverts = null) {
+  const rolls = [...new Set([...before.keys(), ...after.keys()])]
+    .filter(roll => JSON.stringify(before.get(roll) || null) !== JSON.stringify(after.get(roll) || null));
+  if (!rolls.length) return null;
   
-  return data;
+  const { lastID } = await dbRun('INSERT INTO audit_log (session_id, action, actor, reason, reverts) VALUES (?, ?, ?, ?, ?)',
+    [sessionId, action, actorOf(req), (req.body && req.body.reason) || null, reverts]);
+  for (const roll of rolls) {
+    await dbRun('INSERT INTO audit_seats (change_id, student_roll, before, after) VALUES (?, ?, ?, ?)',
+      [lastID, roll, JSON.stringify(before.get(roll) || null), JSON.stringify(after.get(roll) || null)]);
+  }
+  return lastID;
+}
+
+// Bearer tokens from POST /api/auth/login last this many hours
+const TOKEN_TTL_HOURS = Number(process.env.TOKEN_TTL_HOURS || config.token_ttl_hours || 12);
+const PUBLIC_API_ROUTES = ['/auth/login', '/auth/setup', /^\/sessions\/[^/]+\/lookup$/];
+
+/**
+ * Resolve the bearer token of every /api request to an active account
+ * (req.user). Only signing in and the seat lookup work without one.
+ */
+async function authenticate(req, res, next) {
+  if (PUBLIC_API_ROUTES.some(route => (route instanceof RegExp ? route.test(req.path) : route === req.path))) return next();
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  try {
+    const tokenHash = hashToken(match[1]);
+    const user = await dbGet(`
+      SELECT u.* FROM auth_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND t.expires_at > CURRENT_TIMESTAMP AND u.active = 1
+    `, [tokenHash]);
+    if (!user) {
+      return res.status(401).json({ error: 'Session expired; sign in again' });
+    }
+    req.user = user;
+    req.tokenHash = tokenHash;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Let the listed roles through; admins are always let through
+ */
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (req.user.role === 'admin' || roles.includes(req.user.role)) return next();
+    res.status(403).json({ error: `Not allowed for role ${req.user.role}` });
+  };
+}
+
+/**
+ * Limit invigilators to the rooms they have duties in for the session named
+ * by a route or query parameter, and in the slot named by `slotParam` when
+ * the request gives one. req.dutyRooms lists those rooms; it stays undefined
+ * for every other role.
+ */
+function dutyScope(sessionParam, roomParam = null, slotParam = null) {
+  return async (req, res, next) => {
+    if (req.user.role !== 'invigilator') return next();
+    const param = name => req.params[name] || req.query[name];
+    const slotId = slotParam ? param(slotParam) || null : null;
+    try {
+      const rows = await dbAll('SELECT DISTINCT room_id FROM duties WHERE session_id = ? AND staff_id = ? AND (? IS NULL OR slot_id = ?)',
+        [param(sessionParam), req.user.staff_id, slotId, slotId]);
+      req.dutyRooms = rows.map(row => row.room_id);
+      if (!req.dutyRooms.length) {
+        return res.status(403).json({ error: `You have no duties in this ${slotId ? 'slot' : 'session'}` });
+      }
+      if (roomParam && !req.dutyRooms.includes(param(roomParam))) {
+        return res.status(403).json({ error: 'You have no duty in this room' });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+function userFields(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    staff_id: user.staff_id || null,
+    student_roll: user.student_roll || null,
+    active: Boolean(user.active),
+    created_at: user.created_at
+  };
+}
+
+async function issueToken(user) {
+  const { token, hash } = newToken();
+  await dbRun('INSERT INTO auth_tokens (token_hash, user_id, expires_at) VALUES (?, ?, datetime(\'now\', ?))',
+    [hash, user.id, `+${TOKEN_TTL_HOURS} hours`]);
+  const { expires_at } = await dbGet('SELECT expires_at FROM auth_tokens WHERE token_hash = ?', [hash]);
+  return { token, expires_at, user: userFields(user) };
 }
 
 // API Routes
 
 /**
- * POST /api/upload-students
- * Upload student CSV and return parsed data
+ * POST /api/auth/setup
+ * Create the first admin account: { username, password }. Only works while
+ * no account exists.
  */
-app.post('/api/upload-students', upload.single('file'), (req, res) => {
+app.post('/api/auth/setup', async (req, res) => {
   try {
-    let csvContent;
-    
-    if (req.file) {
-      csvContent = req.file.buffer.toString('utf-8');
-    } else if (req.body.csv_content) {
-      csvContent = req.body.csv_content;
-    } else {
-      return res.status(400).json({ error: 'No CSV file or content provided' });
+    const { username, password } = req.body;
+    const errors = validateAccount({ username, password, role: 'admin' });
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; ') });
     }
-    
-    const students = parseCSV(csvContent);
-    
-    // Calculate subject counts
-    const subjects = {};
-    students.forEach(s => {
-      subjects[s.subject] = (subjects[s.subject] || 0) + 1;
-    });
-    
-    // Store in database
-    const stmt = db.prepare('INSERT OR REPLACE INTO students (roll, name, subject, preferred_room) VALUES (?, ?, ?, ?)');
-    students.forEach(s => {
-      stmt.run(s.roll, s.name, s.subject, s.preferred_room || '');
-    });
-    stmt.finalize();
-    
-    res.json({
-      success: true,
-      students,
-      count: students.length,
-      subjects
+    const passwordHash = await hashPassword(password);
+    // Checked and created in one transaction so two setup calls cannot both
+    // find no accounts
+    const userId = await withTransaction(async () => {
+      const { count } = await dbGet('SELECT COUNT(*) AS count FROM users');
+      if (count) return null;
+      const { lastID } = await dbRun('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+        [username, passwordHash, 'admin']);
+      return lastID;
     });
+    if (!userId) {
+      return res.status(409).json({ error: 'Accounts already exist; ask an admin' });
+    }
+    res.status(201).json(await issueToken(await dbGet('SELECT * FROM users WHERE id = ?', [userId])));
   } catch (error) {
-    console.error('Error uploading students:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/rooms
- * Create or update room definitions
+ * POST /api/auth/login
+ * Exchange { username, password } for a bearer token
  */
-app.post('/api/rooms', (req, res) => {
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const { rooms } = req.body;
-    
-    if (!rooms || !Array.isArray(rooms)) {
-      return res.status(400).json({ error: 'Invalid rooms data' });
+    const { username, password } = req.body;
+    const user = await dbGet('SELECT * FROM users WHERE username = ? AND active = 1', [username]);
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Wrong username or password' });
     }
-    
-    const stmt = db.prepare('INSERT OR REPLACE INTO rooms (room_id, room_name, num_benches, seats_per_bench) VALUES (?, ?, ?, ?)');
-    rooms.forEach(r => {
-      stmt.run(r.room_id, r.room_name, r.num_benches, r.seats_per_bench);
-    });
-    stmt.finalize();
-    
-    res.json({ success: true, rooms });
+    await dbRun('DELETE FROM auth_tokens WHERE expires_at <= CURRENT_TIMESTAMP');
+    res.json(await issueToken(user));
   } catch (error) {
-    console.error('Error saving rooms:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * DELETE /api/rooms/:roomId
- * Delete a room definition
+ * POST /api/auth/logout
+ * Revoke the token the request was made with
  */
-app.delete('/api/rooms/:roomId', (req, res) => {
-  const { roomId } = req.params;
-  db.run('DELETE FROM rooms WHERE room_id = ?', [roomId], function(err) {
-    if (err) {
-      console.error('Error deleting room:', err);
-      return res.status(500).json({ error: err.message });
-    }
-    res.json({ success: true, deleted: this.changes });
-  });
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await dbRun('DELETE FROM auth_tokens WHERE token_hash = ?', [req.tokenHash]);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * GET /api/students
- * Get all students
+ * GET /api/auth/me
+ * The signed-in account
  */
-app.get('/api/students', (req, res) => {
-  db.all('SELECT * FROM students', (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
-    res.json({ students: rows });
-  });
+app.get('/api/auth/me', (req, res) => {
+  res.json(userFields(req.user));
 });
 
 /**
- * GET /api/rooms
- * Get all rooms
+ * GET /api/users
+ * List accounts
+ */
+app.get('/api/users', authorize('admin'), async (req, res) => {
+  try {
+    const users = await dbAll('SELECT * FROM users ORDER BY username');
+    res.json({ users: users.map(userFields) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/users
+ * Create an account: { username, password, role, staff_id, student_roll }
  */
-app.get('/api/rooms', (req, res) => {
-  db.all('SELECT * FROM rooms', (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
+app.post('/api/users', authorize('admin'), async (req, res) => {
+  try {
+    const { username, password, role, staff_id, student_roll } = req.body;
+    const errors = validateAccount({ username, password, role, staff_id, student_roll });
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; ') });
     }
-    res.json({ rooms: rows });
-  });
+    if (await dbGet('SELECT id FROM users WHERE username = ?', [username])) {
+      return res.status(409).json({ error: `Username ${username} is taken` });
+    }
+    const { lastID } = await dbRun('INSERT INTO users (username, password_hash, role, staff_id, student_roll) VALUES (?, ?, ?, ?, ?)',
+      [username, await hashPassword(password), role, staff_id || null, student_roll || null]);
+    res.status(201).json(userFields(await dbGet('SELECT * FROM users WHERE id = ?', [lastID])));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * POST /api/schedule
- * Run the scheduler
+ * PATCH /api/users/:id
+ * Change an account's password, role, staff_id, student_roll or active flag.
+ * A new password or deactivation signs the account out everywhere.
  */
-app.post('/api/schedule', (req, res) => {
+app.patch('/api/users/:id', authorize('admin'), async (req, res) => {
   try {
-    const { students, rooms, constraints, date, seed } = req.body;
-    
-    if (!students || !rooms) {
-      return res.status(400).json({ error: 'Students and rooms are required' });
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { password, role, staff_id, student_roll, active } = req.body;
+    const next = {
+      role: role !== undefined ? role : user.role,
+      staff_id: staff_id !== undefined ? staff_id : user.staff_id,
+      student_roll: student_roll !== undefined ? student_roll : user.student_roll
+    };
+    const errors = validateAccount({ password, ...next }, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    if (user.id === req.user.id && (next.role !== 'admin' || active === false)) {
+      return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
     }
     
-    // Persist rooms to database for downstream artifacts
-    const roomStmt = db.prepare('INSERT OR REPLACE INTO rooms (room_id, room_name, num_benches, seats_per_bench) VALUES (?, ?, ?, ?)');
-    rooms.forEach(r => {
-      roomStmt.run(r.room_id, r.room_name, r.num_benches, r.seats_per_bench);
-    });
-    roomStmt.finalize();
-    
-    // Ensure students exist in database for PDF joins
-    const studentStmt = db.prepare('INSERT OR REPLACE INTO students (roll, name, subject, preferred_room) VALUES (?, ?, ?, ?)');
-    students.forEach(s => {
-      studentStmt.run(s.roll, s.name, s.subject, s.preferred_room || '');
-    });
-    studentStmt.finalize();
-    
-    // Run scheduler
-    const result = schedule(students, rooms, {
-      algorithm: 'greedy',
-      constraints: constraints || { no_same_subject_bench: true },
-      seed: seed || null
+    const passwordHash = password !== undefined ? await hashPassword(password) : null;
+    await withTransaction(async () => {
+      await dbRun('UPDATE users SET role = ?, staff_id = ?, student_roll = ?, active = ? WHERE id = ?',
+        [next.role, next.staff_id || null, next.student_roll || null, active === undefined ? user.active : (active ? 1 : 0), user.id]);
+      if (passwordHash) {
+        await dbRun('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, user.id]);
+      }
+      if (password !== undefined || active === false) {
+        await dbRun('DELETE FROM auth_tokens WHERE user_id = ?', [user.id]);
+      }
     });
-    
-    // Save session
-    const sessionId = `session_${Date.now()}`;
-    db.run('INSERT INTO sessions (id, date, constraints) VALUES (?, ?, ?)',
-      [sessionId, date || new Date().toLocaleDateString('en-GB'), JSON.stringify(constraints)]);
-    
-    // Save assignments
-    if (result.success) {
-      const stmt = db.prepare('INSERT INTO assignments (session_id, room_id, bench_number, position, student_roll) VALUES (?, ?, ?, ?, ?)');
-      result.assignments.forEach(a => {
-        stmt.run(sessionId, a.room_id, a.bench_number, a.position, a.student.roll);
-      });
-      stmt.finalize();
+    res.json(userFields(await dbGet('SELECT * FROM users WHERE id = ?', [user.id])));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Delete an account and its tokens
+ */
+app.delete('/api/users/:id', authorize('admin'), async (req, res) => {
+  try {
+    if (Number(req.params.id) === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    const { changes } = await dbRun('DELETE FROM users WHERE id = ?', [req.params.id]);
+    if (!changes) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await dbRun('DELETE FROM auth_tokens WHERE user_id = ?', [req.params.id]);
+    res.json({ success: true, deleted: changes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/me/seats
+ * Where the signed-in student sits, in every session they are seated in
+ */
+app.get('/api/me/seats', authorize('student'), async (req, res) => {
+  try {
+    const seats = await dbAll(`
+      SELECT a.session_id, se.title, COALESCE(sl.date, se.date) AS date, sl.shift, COALESCE(p.subject, s.subject) AS subject,
+        a.room_id, r.room_name, a.bench_number, a.position
+      FROM assignments a
+      JOIN sessions se ON se.id = a.session_id
+      LEFT JOIN students s ON s.roll = a.student_roll
+      LEFT JOIN rooms r ON r.room_id = a.room_id
+      LEFT JOIN slots sl ON sl.id = a.slot_id
+      LEFT JOIN papers p ON p.id = a.paper_id
+      WHERE a.student_roll = ?
+      ORDER BY se.created_at DESC, a.slot_id
+    `, [req.user.student_roll]);
+    res.json({ roll: req.user.student_roll, seats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Allow each client address `max` requests per `windowMs`, answering the
+ * rest with 429 and a Retry-After until its window ends. At most
+ * `maxClients` addresses are tracked; past that the one whose window began
+ * longest ago is forgotten.
+ */
+function rateLimit({ windowMs, max, maxClients = 10000 }) {
+  // Kept in the order each client's window began
+  const hits = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.reset <= now) hits.delete(key);
+    });
+  }, windowMs).unref();
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.reset <= now) {
+      entry = { count: 0, reset: now + windowMs };
+      hits.delete(req.ip);
+      hits.set(req.ip, entry);
+      if (hits.size > maxClients) hits.delete(hits.keys().next().value);
+    }
+    entry.count++;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.reset - now) / 1000)));
+      return res.status(429).json({ error: 'Too many lookups; try again in a minute' });
+    }
+    next();
+  };
+}
+
+// Seat lookups each client address may make per minute
+const LOOKUP_RATE_LIMIT = Number(process.env.LOOKUP_RATE_LIMIT || config.lookup_rate_limit || 20);
+
+/**
+ * GET /api/sessions/:id/lookup?roll=...
+ * Public seat lookup for one roll: the room, building, bench and seat of
+ * each of its sittings in a final session, and nothing about anyone else.
+ * Unknown sessions, drafts and rolls without a seat all get the same 404.
+ */
+app.get('/api/sessions/:id/lookup', rateLimit({ windowMs: 60 * 1000, max: LOOKUP_RATE_LIMIT }), async (req, res) => {
+  try {
+    const roll = String(req.query.roll || '').trim();
+    if (!roll) {
+      return res.status(400).json({ error: 'Enter a roll number' });
+    }
+    
+    const seats = await dbAll(`
+      SELECT COALESCE(sl.date, se.date) AS date, sl.shift, COALESCE(p.subject, s.subject) AS subject,
+        a.room_id, r.room_name, r.campus, r.building, r.floor, a.bench_number, a.position
+      FROM assignments a
+      JOIN sessions se ON se.id = a.session_id
+      LEFT JOIN students s ON s.roll = a.student_roll
+      LEFT JOIN rooms r ON r.room_id = a.room_id
+      LEFT JOIN slots sl ON sl.id = a.slot_id
+      LEFT JOIN papers p ON p.id = a.paper_id
+      WHERE a.session_id = ? AND a.student_roll = ? AND COALESCE(se.status, 'final') != 'draft'
+      ORDER BY a.slot_id
+    `, [req.params.id, roll]);
+    res.set('Cache-Control', 'no-store');
+    if (!seats.length) {
+      return res.status(404).json({ error: 'No seat found for this roll number' });
+    }
+    res.json({ roll, seats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const SESSION_STATUSES = ['draft', 'final'];
+
+function sessionFields(row) {
+  return {
+    session_id: row.id,
+    title: row.title,
+    date: row.date,
+    status: row.status,
+    created_at: row.created_at,
+    cloned_from: row.cloned_from
+  };
+}
+
+/**
+ * GET /api/sessions
+ * List sessions, newest first, with how many students and rooms each seats
+ */
+app.get('/api/sessions', authorize('coordinator', 'invigilator'), async (req, res) => {
+  try {
+    const rows = await dbAll(`
+      SELECT se.*, COUNT(a.id) AS seated, COUNT(DISTINCT a.room_id) AS rooms,
+        (SELECT COUNT(*) FROM slots sl WHERE sl.session_id = se.id) AS slots
+      FROM sessions se
+      LEFT JOIN assignments a ON a.session_id = se.id
+      WHERE ? IS NULL OR se.id IN (SELECT session_id FROM duties WHERE staff_id = ?)
+      GROUP BY se.id
+      ORDER BY se.created_at DESC, se.id DESC
+    `, Array(2).fill(req.user.role === 'invigilator' ? req.user.staff_id : null));
+    res.json({
+      sessions: rows.map(row => ({ ...sessionFields(row), seated: row.seated, rooms: row.rooms, slots: row.slots }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions
+ * Save an arrangement worked out elsewhere (e.g. in the browser) as a session:
+ * { title, date, constraints, rooms, assignments, diagnostics }
+ */
+app.post('/api/sessions', authorize('coordinator'), async (req, res) => {
+  try {
+    const { title, date, constraints, rooms = [], assignments, diagnostics } = req.body;
+    if (!Array.isArray(assignments) || !assignments.length) {
+      return res.status(400).json({ error: 'Assignments are required' });
+    }
+    
+    const sessionId = `session_${Date.now()}`;
+    await withTransaction(async () => {
+      for (const room of rooms) {
+        await dbRun(ROOM_UPSERT, roomParams(room));
+      }
+      await dbRun('INSERT INTO sessions (id, date, constraints, title, diagnostics) VALUES (?, ?, ?, ?, ?)',
+        [sessionId, date || new Date().toLocaleDateString('en-GB'), JSON.stringify(constraints), title || null, JSON.stringify(diagnostics || null)]);
+      for (const a of assignments) {
+        await dbRun('INSERT OR REPLACE INTO students (roll, name, subject, preferred_room) VALUES (?, ?, ?, ?)',
+          [a.student.roll, a.student.name, a.student.subject, a.student.preferred_room || '']);
+        await dbRun('INSERT INTO assignments (session_id, room_id, bench_number, position, student_roll, locked) VALUES (?, ?, ?, ?, ?, ?)',
+          [sessionId, a.room_id, a.bench_number, a.position, a.student.roll, a.locked ? 1 : 0]);
+      }
+    });
+    
+    res.status(201).json({ success: true, session_id: sessionId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * One session with its assignments, room summaries (per slot for
+ * timetables) and the diagnostics of the run that produced it
+ */
+app.get('/api/sessions/:id', authorize('coordinator', 'invigilator'), dutyScope('id'), async (req, res) => {
+  try {
+    const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [req.params.id]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const assignments = (await loadSeated(session.id)).filter(a => !req.dutyRooms || req.dutyRooms.includes(a.room_id));
+    const rooms = (await sessionRooms(session.id))
+      .filter(room => !req.dutyRooms || req.dutyRooms.includes(room.room_id))
+      .map(room => normalizeRoom(room));
+    const slots = await dbAll('SELECT * FROM slots WHERE session_id = ? ORDER BY id', [session.id]);
+    const response = {
+      ...sessionFields(session),
+      constraints: JSON.parse(session.constraints || 'null'),
+      assignments,
+      room_summaries: slots.length ? [] : generateRoomSummaries(assignments, rooms),
+      unavailable_rooms: await unavailableRooms(session.id),
+      diagnostics: JSON.parse(session.diagnostics || 'null')
+    };
+    if (slots.length) {
+      response.slots = slots.map(slot => ({
+        slot_id: slot.id,
+        date: slot.date,
+        shift: slot.shift,
+        room_summaries: generateRoomSummaries(assignments.filter(a => a.slot_id === slot.id), rooms)
+      }));
+    }
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/sessions/:id
+ * Rename a session, change its date or mark it draft/final
+ */
+app.patch('/api/sessions/:id', authorize('coordinator'), async (req, res) => {
+  try {
+    const updates = {};
+    ['title', 'date', 'status'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: 'Provide a title, date or status' });
+    }
+    if (Object.values(updates).some(value => typeof value !== 'string' || !value.trim())) {
+      return res.status(400).json({ error: 'Title, date and status must be non-empty strings' });
+    }
+    if (updates.status && !SESSION_STATUSES.includes(updates.status)) {
+      return res.status(400).json({ error: `Status must be one of: ${SESSION_STATUSES.join(', ')}` });
+    }
+    
+    const fields = Object.keys(updates);
+    const { changes } = await dbRun(`UPDATE sessions SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(f => updates[f].trim()), req.params.id]);
+    if (!changes) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [req.params.id]);
+    res.json({ success: true, ...sessionFields(session) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Delete a session with its assignments, duties, slots, papers and audit log
+ */
+app.delete('/api/sessions/:id', authorize('admin'), async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const session = await dbGet('SELECT id FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const deleted = {};
+    await withTransaction(async () => {
+      await dbRun(`DELETE FROM paper_students WHERE paper_id IN (
+        SELECT p.id FROM papers p JOIN slots sl ON sl.id = p.slot_id WHERE sl.session_id = ?
+      )`, [sessionId]);
+      deleted.papers = (await dbRun('DELETE FROM papers WHERE slot_id IN (SELECT id FROM slots WHERE session_id = ?)', [sessionId])).changes;
+      deleted.slots = (await dbRun('DELETE FROM slots WHERE session_id = ?', [sessionId])).changes;
+      deleted.duties = (await dbRun('DELETE FROM duties WHERE session_id = ?', [sessionId])).changes;
+      deleted.assignments = (await dbRun('DELETE FROM assignments WHERE session_id = ?', [sessionId])).changes;
+      await dbRun('DELETE FROM audit_seats WHERE change_id IN (SELECT id FROM audit_log WHERE session_id = ?)', [sessionId]);
+      deleted.changes = (await dbRun('DELETE FROM audit_log WHERE session_id = ?', [sessionId])).changes;
+      await dbRun('DELETE FROM session_unavailable_rooms WHERE session_id = ?', [sessionId]);
+      await dbRun('DELETE FROM sessions WHERE id = ?', [sessionId]);
+    });
+    
+    res.json({ success: true, session_id: sessionId, deleted });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/clone
+ * Copy a session, with its seats, locks, slots and papers, as a new draft.
+ * Invigilation duties are not copied.
+ */
+app.post('/api/sessions/:id/clone', authorize('coordinator'), async (req, res) => {
+  try {
+    const source = await dbGet('SELECT * FROM sessions WHERE id = ?', [req.params.id]);
+    if (!source) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const { title, date } = req.body || {};
+    
+    const sessionId = `session_${Date.now()}`;
+    await withTransaction(async () => {
+      await dbRun('INSERT INTO sessions (id, date, constraints, title, status, diagnostics, cloned_from) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [sessionId, date || source.date, source.constraints, title || `${source.title || source.id} (copy)`, 'draft', source.diagnostics, source.id]);
+      
+      const slotIds = {};
+      const paperIds = {};
+      for (const slot of await dbAll('SELECT * FROM slots WHERE session_id = ? ORDER BY id', [source.id])) {
+        slotIds[slot.id] = (await dbRun('INSERT INTO slots (session_id, date, shift) VALUES (?, ?, ?)', [sessionId, slot.date, slot.shift])).lastID;
+        for (const paper of await dbAll('SELECT * FROM papers WHERE slot_id = ? ORDER BY id', [slot.id])) {
+          paperIds[paper.id] = (await dbRun('INSERT INTO papers (slot_id, subject) VALUES (?, ?)', [slotIds[slot.id], paper.subject])).lastID;
+          await dbRun('INSERT INTO paper_students (paper_id, student_roll) SELECT ?, student_roll FROM paper_students WHERE paper_id = ?',
+            [paperIds[paper.id], paper.id]);
+        }
+      }
+      for (const a of await dbAll('SELECT * FROM assignments WHERE session_id = ? ORDER BY id', [source.id])) {
+        await dbRun('INSERT INTO assignments (session_id, room_id, bench_number, position, student_roll, locked, slot_id, paper_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [sessionId, a.room_id, a.bench_number, a.position, a.student_roll, a.locked, slotIds[a.slot_id] || null, paperIds[a.paper_id] || null]);
+      }
+      await dbRun('INSERT INTO session_unavailable_rooms (session_id, room_id) SELECT ?, room_id FROM session_unavailable_rooms WHERE session_id = ?',
+        [sessionId, source.id]);
+    });
+    
+    const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    res.status(201).json({ success: true, ...sessionFields(session) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Audit log of a session, oldest first. Each change knows whether it is
+ * currently applied; the latest applied one is undone first and the latest
+ * undone one redone first.
+ */
+async function sessionHistory(sessionId) {
+  const changes = await dbAll('SELECT * FROM audit_log WHERE session_id = ? ORDER BY id', [sessionId]);
+  const seats = await dbAll(`
+    SELECT au.*, s.name FROM audit_seats au
+    JOIN audit_log l ON l.id = au.change_id
+    LEFT JOIN students s ON s.roll = au.student_roll
+    WHERE l.session_id = ?
+    ORDER BY au.change_id, au.student_roll
+  `, [sessionId]);
+  const byId = new Map(changes.map(change => [change.id, {
+    change_id: change.id,
+    action: change.action,
+    actor: change.actor,
+    reason: change.reason,
+    created_at: change.created_at,
+    reverts: change.reverts,
+    undone: false,
+    seats: [],
+    order: change.id
+  }]));
+  seats.forEach(seat => byId.get(seat.change_id).seats.push({
+    roll: seat.student_roll,
+    name: seat.name,
+    before: JSON.parse(seat.before),
+    after: JSON.parse(seat.after)
+  }));
+  changes.forEach(change => {
+    const target = byId.get(change.reverts);
+    if (!target) return;
+    target.undone = change.action === 'undo';
+    target.order = change.id;
+  });
+  return Array.from(byId.values());
+}
+
+/**
+ * Undo or redo one change of a session's audit log. Every student it touched
+ * must still sit where the change left them (or, to redo, where it found
+ * them) and the seats they go back to must be free; otherwise it is refused.
+ */
+async function revertChange(req, res, mode) {
+  const sessionId = req.params.id;
+  const session = await dbGet('SELECT id FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  const { status, body } = await withTransaction(async () => {
+    const history = await sessionHistory(sessionId);
+    const candidates = history.filter(change => !['undo', 'redo'].includes(change.action) && change.undone === (mode === 'redo'));
+    const requested = req.body.change_id;
+    const change = requested
+      ? history.find(c => c.change_id === Number(requested))
+      : candidates.reduce((latest, c) => (!latest || c.order > latest.order ? c : latest), null);
+    // Refusals come before any write, so they just commit an empty transaction
+    const reply = (status, body) => ({ status, body });
+    if (!change) {
+      return reply(requested ? 404 : 409, { error: requested ? 'Change not found' : `Nothing to ${mode}` });
+    }
+    if (!candidates.includes(change)) {
+      return reply(409, { error: `Change ${change.change_id} cannot be ${mode === 'undo' ? 'undone' : 'redone'}` });
+    }
+    
+    const current = await seatSnapshot(sessionId);
+    const seatKey = seat => `${seat.room_id}|${seat.bench_number}|${seat.position}`;
+    const takenBy = new Map([...current].map(([roll, seat]) => [seatKey(seat), roll]));
+    const touched = new Set(change.seats.map(seat => seat.roll));
+    const conflicts = [];
+    change.seats.forEach(seat => {
+      const expected = mode === 'undo' ? seat.after : seat.before;
+      const target = mode === 'undo' ? seat.before : seat.after;
+      if (JSON.stringify(current.get(seat.roll) || null) !== JSON.stringify(expected)) {
+        conflicts.push(`${seat.roll} has been moved by a later change`);
+      } else if (target && takenBy.has(seatKey(target)) && !touched.has(takenBy.get(seatKey(target)))) {
+        conflicts.push(`${target.room_id} bench ${target.bench_number} ${target.position} is now taken by ${takenBy.get(seatKey(target))}`);
+      }
+    });
+    if (conflicts.length) {
+      return reply(409, { error: `Change ${change.change_id} cannot be ${mode === 'undo' ? 'undone' : 'redone'}`, conflicts });
+    }
+    
+    for (const seat of change.seats) {
+      const target = mode === 'undo' ? seat.before : seat.after;
+      await dbRun('DELETE FROM assignments WHERE session_id = ? AND student_roll = ? AND slot_id IS NULL', [sessionId, seat.roll]);
+      if (target) {
+        await dbRun('INSERT INTO assignments (session_id, room_id, bench_number, position, student_roll, locked) VALUES (?, ?, ?, ?, ?, ?)',
+          [sessionId, target.room_id, target.bench_number, target.position, seat.roll, target.locked ? 1 : 0]);
+      }
+    }
+    const changeId = await recordChange(req, sessionId, mode, current, await seatSnapshot(sessionId), change.change_id);
+    // An evacuation's students all came out of the evacuated room
+    if (change.action === 'relocate' && mode === 'undo') {
+      await dbRun('DELETE FROM session_unavailable_rooms WHERE session_id = ? AND change_id = ?', [sessionId, change.change_id]);
+    } else if (change.action === 'relocate') {
+      await dbRun('INSERT OR REPLACE INTO session_unavailable_rooms (session_id, room_id, change_id) VALUES (?, ?, ?)',
+        [sessionId, change.seats[0].before.room_id, change.change_id]);
+    }
+    
+    const rooms = new Set(change.seats.flatMap(seat => [seat.before, seat.after]).filter(Boolean).map(seat => seat.room_id));
+    return reply(200, {
+      success: true,
+      session_id: sessionId,
+      change_id: changeId,
+      [mode === 'undo' ? 'undone' : 'redone']: change.change_id,
+      seats: change.seats.map(seat => ({
+        roll: seat.roll,
+        from: mode === 'undo' ? seat.after : seat.before,
+        to: mode === 'undo' ? seat.before : seat.after
+      })),
+      reprint: [...rooms].map(roomId => `/api/session/${sessionId}/room/${roomId}/pdf`)
+    });
+  });
+  res.status(status).json(body);
+}
+
+/**
+ * GET /api/sessions/:id/history
+ * Every recorded change to the session's seats, newest first: who made it,
+ * when, why, and each student's seat before and after
+ */
+app.get('/api/sessions/:id/history', authorize('coordinator'), async (req, res) => {
+  try {
+    const session = await dbGet('SELECT id FROM sessions WHERE id = ?', [req.params.id]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const history = (await sessionHistory(session.id)).reverse().map(({ order, ...change }) => change);
+    res.json({ session_id: session.id, history });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/undo
+ * Revert the latest applied change, or { change_id } for a specific one
+ */
+app.post('/api/sessions/:id/undo', authorize('coordinator'), async (req, res) => {
+  try {
+    await revertChange(req, res, 'undo');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/redo
+ * Re-apply the latest undone change, or { change_id } for a specific one
+ */
+app.post('/api/sessions/:id/redo', authorize('coordinator'), async (req, res) => {
+  try {
+    await revertChange(req, res, 'redo');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/upload-students
+ * Upload a student CSV or .xlsx workbook and return parsed data with a
+ * per-line report of problems. Rows with errors reject the whole upload (422)
+ * unless on_error is 'skip', which stores the good rows and leaves the rest out.
+ */
+app.post('/api/upload-students', authorize('coordinator'), upload.single('file'), async (req, res) => {
+  try {
+    let source;
+    try {
+      source = readImport(req);
+    } catch (inputError) {
+      return res.status(400).json({ error: inputError.message });
+    }
+    
+    const onError = req.body.on_error || req.query.on_error || 'reject';
+    if (!['reject', 'skip'].includes(onError)) {
+      return res.status(400).json({ error: 'on_error must be reject or skip' });
+    }
+    const { students, report, delimiter } = parseStudentCsv(source.input, { mapping: source.mapping });
+    if (report.errors.length && (onError === 'reject' || !students.length)) {
+      return res.status(422).json({
+        error: `${report.errors.length} problem(s) in the file; nothing was imported`,
+        report,
+        delimiter,
+        sheet: source.sheet
+      });
+    }
+    
+    // Calculate subject counts
+    const subjects = {};
+    students.forEach(s => {
+      subjects[s.subject] = (subjects[s.subject] || 0) + 1;
+    });
+    
+    // Store in database
+    await withTransaction(async () => {
+      for (const s of students) {
+        await dbRun('INSERT OR REPLACE INTO students (roll, name, subject, preferred_room) VALUES (?, ?, ?, ?)',
+          [s.roll, s.name, s.subject, s.preferred_room || '']);
+      }
+    });
+    
+    res.json({
+      success: true,
+      students,
+      count: students.length,
+      subjects,
+      report,
+      delimiter,
+      sheet: source.sheet,
+      sheets: source.sheets
+    });
+  } catch (error) {
+    console.error('Error uploading students:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/rooms
+ * Create or update room definitions
+ */
+app.post('/api/rooms', authorize('coordinator'), async (req, res) => {
+  try {
+    const { rooms } = req.body;
+    
+    if (!rooms || !Array.isArray(rooms)) {
+      return res.status(400).json({ error: 'Invalid rooms data' });
+    }
+    
+    await withTransaction(async () => {
+      for (const room of rooms) {
+        await dbRun(ROOM_UPSERT, roomParams(room));
+      }
+    });
+    
+    res.json({ success: true, rooms });
+  } catch (error) {
+    console.error('Error saving rooms:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/upload-rooms
+ * Import rooms from a CSV or .xlsx workbook (room_id, room_name,
+ * num_benches, seats_per_bench, bench_rows, bench_columns, tags, campus,
+ * building, floor). Rooms with
+ * an existing room_id are replaced. on_error works as for students.
+ */
+app.post('/api/upload-rooms', authorize('coordinator'), upload.single('file'), async (req, res) => {
+  try {
+    let source;
+    try {
+      source = readImport(req);
+    } catch (inputError) {
+      return res.status(400).json({ error: inputError.message });
+    }
+    
+    const onError = req.body.on_error || req.query.on_error || 'reject';
+    if (!['reject', 'skip'].includes(onError)) {
+      return res.status(400).json({ error: 'on_error must be reject or skip' });
+    }
+    const { rooms, report, delimiter } = parseRoomCsv(source.input, { mapping: source.mapping });
+    if (report.errors.length && (onError === 'reject' || !rooms.length)) {
+      return res.status(422).json({
+        error: `${report.errors.length} problem(s) in the file; nothing was imported`,
+        report,
+        delimiter,
+        sheet: source.sheet
+      });
+    }
+    
+    await withTransaction(async () => {
+      for (const room of rooms) {
+        await dbRun(ROOM_UPSERT, roomParams(room));
+      }
+    });
+    
+    res.json({ success: true, rooms, count: rooms.length, report, delimiter, sheet: source.sheet, sheets: source.sheets });
+  } catch (error) {
+    console.error('Error importing rooms:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/rooms/:roomId
+ * Delete a room definition
+ */
+app.delete('/api/rooms/:roomId', authorize('admin'), async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM rooms WHERE room_id = ?', [req.params.roomId]);
+    res.json({ success: true, deleted: changes });
+  } catch (error) {
+    console.error('Error deleting room:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/students
+ * Get all students
+ */
+app.get('/api/students', authorize('coordinator'), async (req, res) => {
+  try {
+    res.json({ students: await dbAll('SELECT * FROM students') });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/rooms
+ * Get all rooms
+ */
+app.get('/api/rooms', authorize('coordinator', 'invigilator'), async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM rooms');
+    res.json({ rooms: rows.map(row => ({ ...row, tags: splitList(row.tags) })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/rooms/hierarchy
+ * Rooms as a campus > building > floor tree with the seats at each level.
+ * Rooms missing a level sit under a null entry for it.
+ */
+app.get('/api/rooms/hierarchy', authorize('coordinator', 'invigilator'), async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM rooms ORDER BY campus, building, floor, room_id');
+    const campuses = [];
+    const child = (list, key, value, children) => {
+      let node = list.find(n => n[key] === value);
+      if (!node) {
+        node = { [key]: value, capacity: 0, [children]: [] };
+        list.push(node);
+      }
+      return node;
+    };
+    rows.forEach(row => {
+      const room = normalizeRoom(row);
+      const capacity = roomCapacity(room);
+      const campus = child(campuses, 'campus', row.campus, 'buildings');
+      const building = child(campus.buildings, 'building', row.building, 'floors');
+      const floor = child(building.floors, 'floor', row.floor, 'rooms');
+      [campus, building, floor].forEach(node => {
+        node.capacity += capacity;
+      });
+      floor.rooms.push({ room_id: room.room_id, room_name: room.room_name, capacity, tags: room.tags });
+    });
+    res.json({ campuses, rooms: rows.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/subjects/rules
+ * Room tags every subject needs or must avoid
+ */
+app.get('/api/subjects/rules', authorize('coordinator'), async (req, res) => {
+  try {
+    res.json({ rules: await loadSubjectRules() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/subjects/:subject/rules
+ * Set the room tags a subject needs (`required`) or must avoid (`forbidden`);
+ * empty lists remove the rule
+ */
+app.put('/api/subjects/:subject/rules', authorize('coordinator'), async (req, res) => {
+  try {
+    const { subject } = req.params;
+    const required = normalizeTags(req.body.required);
+    const forbidden = normalizeTags(req.body.forbidden);
+    const overlap = required.filter(tag => forbidden.includes(tag));
+    if (overlap.length) {
+      return res.status(400).json({ error: `Tags cannot be both required and forbidden: ${overlap.join(', ')}` });
+    }
+    
+    if (!required.length && !forbidden.length) {
+      await dbRun('DELETE FROM subject_rules WHERE subject = ?', [subject]);
+    } else {
+      await dbRun('INSERT OR REPLACE INTO subject_rules (subject, required_tags, forbidden_tags) VALUES (?, ?, ?)',
+        [subject, required.join(';'), forbidden.join(';')]);
+    }
+    res.json({ success: true, subject, required, forbidden });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Most solver effort one request may ask for. The solvers run on the event
+// loop, so a long run holds up every other request until it ends.
+const SOLVER_LIMITS = {
+  max_iterations: Number(process.env.MAX_SOLVER_ITERATIONS || config.max_solver_iterations || 1000000),
+  time_limit_ms: Number(process.env.MAX_SOLVER_TIME_MS || config.max_solver_time_ms || 10000),
+  anneal_iterations: Number(process.env.MAX_ANNEAL_ITERATIONS || config.max_anneal_iterations || 200000)
+};
+
+/**
+ * A requested solver setting capped at its limit; left undefined (so the
+ * scheduler's own default applies) when missing or not a positive number
+ */
+function solverSetting(name, value) {
+  const requested = Number(value);
+  if (value === undefined || value === null || !(requested > 0)) return undefined;
+  return Math.min(requested, SOLVER_LIMITS[name]);
+}
+
+/**
+ * POST /api/schedule
+ * Run the scheduler. With a session_id the session is re-run: its locked
+ * seats stay put and only the other students are rearranged. With a
+ * baseline_session_id students keep their seats from that session where
+ * they can, and the response reports the churn.
+ */
+app.post('/api/schedule', authorize('coordinator'), async (req, res) => {
+  try {
+    const { students, rooms, constraints, occupancy, fill_strategy, date, seed, algorithm, max_iterations, time_limit_ms, weights, anneal_iterations, session_id, baseline_session_id, title } = req.body;
+    
+    if (!students || !rooms) {
+      return res.status(400).json({ error: 'Students and rooms are required' });
+    }
+    
+    let locked = [];
+    if (session_id) {
+      const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [session_id]);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      const slot = await dbGet('SELECT id FROM slots WHERE session_id = ?', [session_id]);
+      if (slot) {
+        return res.status(400).json({ error: 'Re-running is not supported for timetable sessions' });
+      }
+      locked = await dbAll('SELECT room_id, bench_number, position, student_roll AS roll FROM assignments WHERE session_id = ? AND locked = 1', [session_id]);
+    }
+    
+    let baseline = null;
+    if (baseline_session_id) {
+      const baselineSession = await dbGet('SELECT id FROM sessions WHERE id = ?', [baseline_session_id]);
+      if (!baselineSession) {
+        return res.status(404).json({ error: 'Baseline session not found' });
+      }
+      baseline = await dbAll('SELECT room_id, bench_number, position, student_roll AS roll FROM assignments WHERE session_id = ? AND slot_id IS NULL', [baseline_session_id]);
+    }
+    
+    // Persist rooms for downstream artifacts and students for PDF joins
+    await withTransaction(async () => {
+      for (const room of rooms) {
+        await dbRun(ROOM_UPSERT, roomParams(room));
+      }
+      for (const s of students) {
+        await dbRun('INSERT OR REPLACE INTO students (roll, name, subject, preferred_room) VALUES (?, ?, ?, ?)',
+          [s.roll, s.name, s.subject, s.preferred_room || '']);
+      }
+    });
+    
+    // Run scheduler
+    const result = schedule(students, rooms, {
+      algorithm: algorithm || 'greedy',
+      constraints: await withSubjectRules(constraints),
+      occupancy,
+      fill_strategy,
+      seed: seed || null,
+      max_iterations: solverSetting('max_iterations', max_iterations),
+      time_limit_ms: solverSetting('time_limit_ms', time_limit_ms),
+      weights,
+      anneal_iterations: solverSetting('anneal_iterations', anneal_iterations),
+      locked,
+      baseline,
+      unavailable_rooms: session_id ? await unavailableRooms(session_id) : []
+    });
+    
+    if (session_id) {
+      // Locked rows are kept; every other seat is replaced by the new run
+      if (result.success) {
+        await withTransaction(async () => {
+          const before = await seatSnapshot(session_id);
+          await dbRun('DELETE FROM assignments WHERE session_id = ? AND locked = 0', [session_id]);
+          for (const a of result.assignments.filter(a => !a.locked)) {
+            await dbRun('INSERT INTO assignments (session_id, room_id, bench_number, position, student_roll) VALUES (?, ?, ?, ?, ?)',
+              [session_id, a.room_id, a.bench_number, a.position, a.student.roll]);
+          }
+          await dbRun('UPDATE sessions SET constraints = ?, diagnostics = ?, date = COALESCE(?, date) WHERE id = ?',
+            [JSON.stringify(constraints), JSON.stringify(result.diagnostics), date || null, session_id]);
+          result.change_id = await recordChange(req, session_id, 'rerun', before, await seatSnapshot(session_id));
+        });
+      }
+      const session = await dbGet('SELECT date FROM sessions WHERE id = ?', [session_id]);
+      return res.json({ ...result, session_id, date: session.date });
+    }
+    
+    // Save session
+    const sessionId = `session_${Date.now()}`;
+    await withTransaction(async () => {
+      await dbRun('INSERT INTO sessions (id, date, constraints, title, diagnostics) VALUES (?, ?, ?, ?, ?)',
+        [sessionId, date || new Date().toLocaleDateString('en-GB'), JSON.stringify(constraints), title || null, JSON.stringify(result.diagnostics)]);
+      
+      // Save assignments
+      for (const a of result.success ? result.assignments : []) {
+        await dbRun('INSERT INTO assignments (session_id, room_id, bench_number, position, student_roll) VALUES (?, ?, ?, ?, ?)',
+          [sessionId, a.room_id, a.bench_number, a.position, a.student.roll]);
+      }
+    });
+    
+    res.json({
+      ...result,
+      session_id: sessionId,
+      date: date || new Date().toLocaleDateString('en-GB')
+    });
+  } catch (error) {
+    console.error('Error scheduling:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/session/:sessionId/locks
+ * Seats of a session that re-runs keep fixed
+ */
+app.get('/api/session/:sessionId/locks', authorize('coordinator'), async (req, res) => {
+  try {
+    const rows = await dbAll(`
+      SELECT a.room_id, a.bench_number, a.position, a.student_roll, s.name, s.subject
+      FROM assignments a
+      LEFT JOIN students s ON s.roll = a.student_roll
+      WHERE a.session_id = ? AND a.locked = 1
+      ORDER BY a.room_id, a.bench_number, a.position
+    `, [req.params.sessionId]);
+    res.json({ session_id: req.params.sessionId, locks: rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/session/:sessionId/locks
+ * Lock (or with locked: false, unlock) individual seats and whole rooms
+ * of a session: { seats: [{ room_id, bench_number, position }], rooms: [room_id] }
+ */
+app.put('/api/session/:sessionId/locks', authorize('coordinator'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { seats = [], rooms = [], locked = true } = req.body;
+    if (!Array.isArray(seats) || !Array.isArray(rooms) || (!seats.length && !rooms.length)) {
+      return res.status(400).json({ error: 'Provide seats and/or rooms to lock' });
+    }
+    const session = await dbGet('SELECT id FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const slot = await dbGet('SELECT id FROM slots WHERE session_id = ?', [sessionId]);
+    if (slot) {
+      return res.status(400).json({ error: 'Locks are not supported for timetable sessions' });
+    }
+    
+    const flag = locked ? 1 : 0;
+    let changed = 0;
+    const missing = [];
+    const changeId = await withTransaction(async () => {
+      const before = await seatSnapshot(sessionId);
+      for (const seat of seats) {
+        const { changes } = await dbRun('UPDATE assignments SET locked = ? WHERE session_id = ? AND room_id = ? AND bench_number = ? AND position = ?',
+          [flag, sessionId, seat.room_id, seat.bench_number, seat.position]);
+        if (!changes) missing.push(seat);
+        changed += changes;
+      }
+      for (const roomId of rooms) {
+        const { changes } = await dbRun('UPDATE assignments SET locked = ? WHERE session_id = ? AND room_id = ?', [flag, sessionId, roomId]);
+        changed += changes;
+      }
+      return recordChange(req, sessionId, flag ? 'lock' : 'unlock', before, await seatSnapshot(sessionId));
+    });
+    
+    res.json({ success: true, session_id: sessionId, locked: Boolean(flag), changed, missing, change_id: changeId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/students
+ * Seat late registrants in empty seats of a session, moving as few seated
+ * students as possible. Rooms default to the ones the session already uses.
+ */
+app.post('/api/session/:sessionId/students', authorize('coordinator'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { students, rooms, occupancy } = req.body;
+    if (!Array.isArray(students) || !students.length) {
+      return res.status(400).json({ error: 'Students are required' });
+    }
+    const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const slot = await dbGet('SELECT id FROM slots WHERE session_id = ?', [sessionId]);
+    if (slot) {
+      return res.status(400).json({ error: 'Late registration is not supported for timetable sessions' });
+    }
+    
+    const seated = await loadSeated(sessionId);
+    
+    const result = insertStudents(seated, students, rooms || await sessionRooms(sessionId), {
+      constraints: await withSubjectRules(JSON.parse(session.constraints || 'null')),
+      occupancy,
+      unavailable_rooms: await unavailableRooms(sessionId)
+    });
+    
+    if (result.success) {
+      await withTransaction(async () => {
+        const before = await seatSnapshot(sessionId);
+        if (rooms) {
+          for (const room of rooms) {
+            await dbRun(ROOM_UPSERT, roomParams(room));
+          }
+        }
+        for (const student of students) {
+          await dbRun('INSERT OR REPLACE INTO students (roll, name, subject, preferred_room) VALUES (?, ?, ?, ?)',
+            [student.roll, student.name, student.subject, student.preferred_room || '']);
+        }
+        for (const change of result.changes) {
+          const { room_id, bench_number, position } = change.to;
+          if (change.type === 'moved') {
+            await dbRun('UPDATE assignments SET room_id = ?, bench_number = ?, position = ? WHERE session_id = ? AND student_roll = ?',
+              [room_id, bench_number, position, sessionId, change.roll]);
+          } else {
+            await dbRun('INSERT INTO assignments (session_id, room_id, bench_number, position, student_roll) VALUES (?, ?, ?, ?, ?)',
+              [sessionId, room_id, bench_number, position, change.roll]);
+          }
+        }
+        result.change_id = await recordChange(req, sessionId, 'insert', before, await seatSnapshot(sessionId));
+      });
+    }
+    
+    res.json({
+      ...result,
+      session_id: sessionId,
+      reprint: result.affected_rooms.map(roomId => `/api/session/${sessionId}/room/${roomId}/pdf`)
+    });
+  } catch (error) {
+    console.error('Error inserting late registrants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/rooms/:roomId/evacuate
+ * Mark a room unavailable for the session and move its students into spare
+ * seats of the session's other rooms, pulling in standby rooms (ids or room
+ * objects; by default every room the session neither uses nor has
+ * evacuated) when needed
+ */
+app.post('/api/session/:sessionId/rooms/:roomId/evacuate', authorize('coordinator'), async (req, res) => {
+  try {
+    const { sessionId, roomId } = req.params;
+    const { standby_rooms, occupancy } = req.body;
+    const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const slot = await dbGet('SELECT id FROM slots WHERE session_id = ?', [sessionId]);
+    if (slot) {
+      return res.status(400).json({ error: 'Evacuation is not supported for timetable sessions' });
+    }
+    
+    const rooms = await sessionRooms(sessionId);
+    if (!rooms.some(room => room.room_id === roomId)) {
+      return res.status(404).json({ error: 'Room has no seats in this session' });
+    }
+    let standby;
+    if (Array.isArray(standby_rooms)) {
+      standby = [];
+      for (const entry of standby_rooms) {
+        const room = typeof entry === 'string' ? await dbGet('SELECT * FROM rooms WHERE room_id = ?', [entry]) : entry;
+        if (!room) {
+          return res.status(400).json({ error: `Unknown standby room ${entry}` });
+        }
+        standby.push(room);
+      }
+    } else {
+      standby = await dbAll(`
+        SELECT * FROM rooms
+        WHERE room_id NOT IN (SELECT DISTINCT room_id FROM assignments WHERE session_id = ?)
+          AND room_id NOT IN (SELECT room_id FROM session_unavailable_rooms WHERE session_id = ?)
+        ORDER BY room_id
+      `, [sessionId, sessionId]);
+    }
+    
+    const result = relocateRoom(await loadSeated(sessionId), roomId, rooms, {
+      constraints: await withSubjectRules(JSON.parse(session.constraints || 'null')),
+      occupancy,
+      standby_rooms: standby,
+      unavailable_rooms: await unavailableRooms(sessionId)
+    });
+    
+    if (result.success) {
+      await withTransaction(async () => {
+        const before = await seatSnapshot(sessionId);
+        for (const room of standby.filter(room => result.standby_used.includes(room.room_id))) {
+          const existing = await dbGet('SELECT id FROM rooms WHERE room_id = ?', [room.room_id]);
+          if (!existing) await dbRun(ROOM_UPSERT, roomParams(room));
+        }
+        for (const move of result.relocations) {
+          await dbRun('UPDATE assignments SET room_id = ?, bench_number = ?, position = ? WHERE session_id = ? AND student_roll = ?',
+            [move.to.room_id, move.to.bench_number, move.to.position, sessionId, move.roll]);
+        }
+        result.change_id = await recordChange(req, sessionId, 'relocate', before, await seatSnapshot(sessionId));
+        await dbRun('INSERT OR REPLACE INTO session_unavailable_rooms (session_id, room_id, change_id) VALUES (?, ?, ?)',
+          [sessionId, roomId, result.change_id]);
+      });
+    }
+    
+    res.json({
+      ...result,
+      session_id: sessionId,
+      evacuated: roomId,
+      reprint: result.affected_rooms.map(id => `/api/session/${sessionId}/room/${id}/pdf`),
+      pdf: result.affected_rooms.length ? `/api/session/${sessionId}/pdf?rooms=${result.affected_rooms.map(encodeURIComponent).join(',')}` : null
+    });
+  } catch (error) {
+    console.error('Error evacuating room:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/rooms/:roomId/restore
+ * Make an evacuated room usable in the session again. Nobody is moved back;
+ * re-runs, late registrations and seat edits may use it from now on.
+ */
+app.post('/api/session/:sessionId/rooms/:roomId/restore', authorize('coordinator'), async (req, res) => {
+  try {
+    const { sessionId, roomId } = req.params;
+    const { changes } = await dbRun('DELETE FROM session_unavailable_rooms WHERE session_id = ? AND room_id = ?', [sessionId, roomId]);
+    if (!changes) {
+      return res.status(404).json({ error: 'Room is not unavailable in this session' });
+    }
+    res.json({ success: true, session_id: sessionId, restored: roomId, unavailable_rooms: await unavailableRooms(sessionId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/timetable
+ * Create a multi-slot exam timetable and schedule seating for every slot
+ */
+app.post('/api/timetable', authorize('coordinator'), async (req, res) => {
+  try {
+    const { slots, rooms, constraints, occupancy, fill_strategy, seed, algorithm, title } = req.body;
+    
+    if (!Array.isArray(slots) || !slots.length || !rooms) {
+      return res.status(400).json({ error: 'Slots and rooms are required' });
+    }
+    const invalidSlot = slots.find(slot => !slot.date || !slot.shift || !Array.isArray(slot.papers));
+    if (invalidSlot) {
+      return res.status(400).json({ error: 'Every slot needs a date, a shift and a papers array' });
+    }
+    
+    const result = scheduleTimetable(slots, rooms, {
+      algorithm: algorithm || 'greedy',
+      constraints: await withSubjectRules(constraints),
+      occupancy,
+      fill_strategy,
+      seed: seed || null
+    });
+    
+    const sessionId = `session_${Date.now()}`;
+    await withTransaction(async () => {
+      for (const room of rooms) {
+        await dbRun(ROOM_UPSERT, roomParams(room));
+      }
+      await dbRun('INSERT INTO sessions (id, date, constraints, title, diagnostics) VALUES (?, ?, ?, ?, ?)',
+        [sessionId, slots[0].date, JSON.stringify(constraints), title || null,
+          JSON.stringify({ slots: result.slots.map(slotResult => slotResult.diagnostics) })]);
+      
+      for (let i = 0; i < slots.length; i++) {
+        const slot = slots[i];
+        const slotResult = result.slots[i];
+        const { lastID: slotId } = await dbRun('INSERT INTO slots (session_id, date, shift) VALUES (?, ?, ?)',
+          [sessionId, slot.date, slot.shift]);
+        slotResult.slot_id = slotId;
+        
+        const paperByRoll = {};
+        for (const paper of slot.papers) {
+          const { lastID: paperId } = await dbRun('INSERT INTO papers (slot_id, subject) VALUES (?, ?)', [slotId, paper.subject]);
+          for (const student of paper.students || []) {
+            // Only add students the roster lacks; an existing row keeps its own
+            // subject and preferred room rather than taking on the paper's
+            await dbRun('INSERT OR IGNORE INTO students (roll, name, subject, preferred_room) VALUES (?, ?, ?, ?)',
+              [student.roll, student.name, student.subject || paper.subject, student.preferred_room || '']);
+            await dbRun('INSERT OR IGNORE INTO paper_students (paper_id, student_roll) VALUES (?, ?)', [paperId, student.roll]);
+            paperByRoll[student.roll] = paperId;
+          }
+        }
+        
+        if (slotResult.success) {
+          for (const a of slotResult.assignments) {
+            await dbRun('INSERT INTO assignments (session_id, room_id, bench_number, position, student_roll, slot_id, paper_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+              [sessionId, a.room_id, a.bench_number, a.position, a.student.roll, slotId, paperByRoll[a.student.roll]]);
+          }
+        }
+      }
+    });
+    
+    res.json({
+      success: result.success,
+      session_id: sessionId,
+      slots: result.slots
+    });
+  } catch (error) {
+    console.error('Error scheduling timetable:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/timetable/:sessionId
+ * List the slots of a timetable with their papers and seated counts
+ */
+app.get('/api/timetable/:sessionId', authorize('coordinator', 'invigilator'), dutyScope('sessionId'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
+    const slots = await dbAll(`
+      SELECT sl.*, (SELECT COUNT(*) FROM assignments a WHERE a.slot_id = sl.id) AS seated
+      FROM slots sl
+      WHERE sl.session_id = ?
+      ORDER BY sl.id
+    `, [sessionId]);
+    const papers = await dbAll(`
+      SELECT p.*, COUNT(ps.student_roll) AS count
+      FROM papers p
+      JOIN slots sl ON sl.id = p.slot_id
+      LEFT JOIN paper_students ps ON ps.paper_id = p.id
+      WHERE sl.session_id = ?
+      GROUP BY p.id
+    `, [sessionId]);
+    
     res.json({
-      ...result,
       session_id: sessionId,
-      date: date || new Date().toLocaleDateString('en-GB')
+      slots: slots.map(slot => ({
+        slot_id: slot.id,
+        date: slot.date,
+        shift: slot.shift,
+        seated: slot.seated,
+        papers: papers.filter(p => p.slot_id === slot.id).map(p => ({ subject: p.subject, count: p.count }))
+      }))
     });
   } catch (error) {
-    console.error('Error scheduling:', error);
+    console.error('Error loading timetable:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/timetable/:sessionId/slots/:slotId
+ * Seating results for one slot of a timetable
+ */
+app.get('/api/timetable/:sessionId/slots/:slotId', authorize('coordinator', 'invigilator'), dutyScope('sessionId', null, 'slotId'), async (req, res) => {
+  try {
+    const { sessionId, slotId } = req.params;
+    const slot = await dbGet('SELECT * FROM slots WHERE id = ? AND session_id = ?', [slotId, sessionId]);
+    if (!slot) {
+      return res.status(404).json({ error: 'Slot not found' });
+    }
+    
+    const rows = await dbAll(`
+      SELECT a.*, s.name, p.subject, r.room_name
+      FROM assignments a
+      JOIN students s ON a.student_roll = s.roll
+      JOIN papers p ON p.id = a.paper_id
+      JOIN rooms r ON r.room_id = a.room_id
+      WHERE a.slot_id = ?
+      ORDER BY r.room_name, a.room_id, a.bench_number, a.position
+    `, [slotId]);
+    const assignments = rows.filter(row => !req.dutyRooms || req.dutyRooms.includes(row.room_id)).map(row => ({
+      room_id: row.room_id,
+      room_name: row.room_name,
+      bench_number: row.bench_number,
+      position: row.position,
+      student: { roll: row.student_roll, name: row.name, subject: row.subject }
+    }));
+    const rooms = (await dbAll(`SELECT * FROM rooms WHERE room_id IN (SELECT DISTINCT room_id FROM assignments WHERE slot_id = ?)`, [slotId]))
+      .filter(room => !req.dutyRooms || req.dutyRooms.includes(room.room_id));
+    
+    res.json({
+      slot_id: slot.id,
+      date: slot.date,
+      shift: slot.shift,
+      assignments,
+      room_summaries: generateRoomSummaries(assignments, rooms)
+    });
+  } catch (error) {
+    console.error('Error loading slot:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -301,55 +1966,63 @@ app.post('/api/schedule', (req, res) => {
  * GET /api/room/:id/print
  * Get printable HTML for a specific room
  */
-app.get('/api/room/:id/print', (req, res) => {
-  const roomId = req.params.id;
-  const sessionId = req.query.session_id;
-  
-  // Get room info
-  db.get('SELECT * FROM rooms WHERE room_id = ?', [roomId], (err, room) => {
-    if (err || !room) {
+app.get('/api/room/:id/print', authorize('coordinator', 'invigilator'), dutyScope('session_id', 'id', 'slot'), async (req, res) => {
+  try {
+    const roomId = req.params.id;
+    const sessionId = req.query.session_id;
+    const slotId = req.query.slot || null;
+    
+    // Get room info
+    const room = await dbGet('SELECT * FROM rooms WHERE room_id = ?', [roomId]);
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
     
     // Get assignments
-    db.all(`
-      SELECT a.*, s.name, s.subject 
+    const assignments = await dbAll(`
+      SELECT a.*, s.name, COALESCE(p.subject, s.subject) AS subject 
       FROM assignments a 
       JOIN students s ON a.student_roll = s.roll 
-      WHERE a.room_id = ? AND a.session_id = ?
+      LEFT JOIN papers p ON p.id = a.paper_id
+      WHERE a.room_id = ? AND a.session_id = ? AND (? IS NULL OR a.slot_id = ?)
       ORDER BY a.bench_number, a.position
-    `, [roomId, sessionId], (err, assignments) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
+    `, [roomId, sessionId, slotId, slotId]);
+    
+    // Get session date, or the slot's date and shift
+    const session = await dbGet(`
+      SELECT s.date, sl.date AS slot_date, sl.shift
+      FROM sessions s
+      LEFT JOIN slots sl ON sl.session_id = s.id AND sl.id = ?
+      WHERE s.id = ?
+    `, [slotId, sessionId]);
+    let date = session ? session.date : new Date().toLocaleDateString('en-GB');
+    if (session && session.slot_date) {
+      date = slotLabel({ date: session.slot_date, shift: session.shift });
+    }
+    
+    // Group by subject
+    const subjectGroups = {};
+    assignments.forEach(a => {
+      if (!subjectGroups[a.subject]) {
+        subjectGroups[a.subject] = [];
       }
-      
-      // Get session date
-      db.get('SELECT date FROM sessions WHERE id = ?', [sessionId], (err, session) => {
-        const date = session ? session.date : new Date().toLocaleDateString('en-GB');
-        
-        // Group by subject
-        const subjectGroups = {};
-        assignments.forEach(a => {
-          if (!subjectGroups[a.subject]) {
-            subjectGroups[a.subject] = [];
-          }
-          subjectGroups[a.subject].push(a.student_roll);
-        });
-        
-        // Format subject lines
-        const subjectLines = Object.keys(subjectGroups).sort().map(subject => {
-          const rolls = subjectGroups[subject].sort();
-          const ranges = formatRollRanges(rolls);
-          return `${subject} ${ranges} (${rolls.length})`;
-        });
-        
-        // Generate HTML
-        const html = `
+      subjectGroups[a.subject].push(a.student_roll);
+    });
+    
+    // Format subject lines
+    const subjectLines = Object.keys(subjectGroups).sort().map(subject => {
+      const rolls = subjectGroups[subject].sort();
+      const ranges = formatRollRanges(rolls);
+      return escapeHtml(`${subject} ${ranges} (${rolls.length})`);
+    });
+    
+    // Generate HTML
+    const html = `
 <!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
-  <title>${room.room_name} - Seating Arrangement</title>
+  <title>${escapeHtml(room.room_name)} - Seating Arrangement</title>
   <style>
     @page { margin: 20mm; }
     body {
@@ -391,155 +2064,610 @@ app.get('/api/room/:id/print', (req, res) => {
 </head>
 <body>
   <div class="header">
-    <div class="date">${date}</div>
+    <div class="date">${escapeHtml(date)}</div>
     <div class="total">TOTAL - ${assignments.length}</div>
   </div>
-  <div class="room-name">${room.room_name.toUpperCase()}</div>
+  <div class="room-name">${escapeHtml(room.room_name.toUpperCase())}</div>
   <div class="subject-list">
     ${subjectLines.map(line => `<div class="subject-line">${line}</div>`).join('')}
   </div>
 </body>
 </html>
-        `;
-        
-        res.send(html);
-      });
-    });
-  });
+    `;
+    
+    // The sheet only needs its own inline styles; no script may run in it
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+    res.send(html);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
  * GET /api/session/:sessionId/room/:roomId/pdf
  * Download PDF for a specific room within a session
  */
-app.get('/api/session/:sessionId/room/:roomId/pdf', (req, res) => {
-  const { sessionId, roomId } = req.params;
-
-  db.get('SELECT * FROM rooms WHERE room_id = ?', [roomId], (roomErr, room) => {
-    if (roomErr || !room) {
+app.get('/api/session/:sessionId/room/:roomId/pdf', authorize('coordinator', 'invigilator'), dutyScope('sessionId', 'roomId', 'slot'), async (req, res) => {
+  try {
+    const { sessionId, roomId } = req.params;
+    const slotId = req.query.slot || null;
+    
+    const room = await dbGet('SELECT * FROM rooms WHERE room_id = ?', [roomId]);
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
-
-    db.get('SELECT date FROM sessions WHERE id = ?', [sessionId], (sessionErr, session) => {
-      if (sessionErr || !session) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-
-      db.all(`
-        SELECT a.*, s.name, s.subject 
-        FROM assignments a
-        JOIN students s ON a.student_roll = s.roll
-        WHERE a.session_id = ? AND a.room_id = ?
-        ORDER BY a.bench_number, a.position
-      `, [sessionId, roomId], (assignErr, assignments) => {
-        if (assignErr) {
-          return res.status(500).json({ error: assignErr.message });
-        }
-        if (!assignments || assignments.length === 0) {
-          return res.status(404).json({ error: 'No assignments found for this room' });
-        }
-
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename=${room.room_id}-${sessionId}.pdf`);
-
-        const doc = new PDFDocument({ margin: 36, size: 'A4' });
-        doc.pipe(res);
-        renderRoomAssignmentSection(doc, room, assignments, session.date);
-        doc.end();
-      });
+    const session = await dbGet('SELECT date FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const assignments = await dbAll(`
+      SELECT a.*, s.name, COALESCE(p.subject, s.subject) AS subject, sl.date AS slot_date, sl.shift AS slot_shift 
+      FROM assignments a
+      JOIN students s ON a.student_roll = s.roll
+      LEFT JOIN papers p ON p.id = a.paper_id
+      LEFT JOIN slots sl ON sl.id = a.slot_id
+      WHERE a.session_id = ? AND a.room_id = ? AND (? IS NULL OR a.slot_id = ?)
+      ORDER BY a.slot_id, a.bench_number, a.position
+    `, [sessionId, roomId, slotId, slotId]);
+    if (!assignments.length) {
+      return res.status(404).json({ error: 'No assignments found for this room' });
+    }
+    
+    const suffix = slotId ? `-slot${slotId}` : '';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${room.room_id}-${sessionId}${suffix}.pdf`);
+    
+    const duties = await loadSessionDuties(sessionId, session.date);
+    const doc = new PDFDocument({ margin: 36, size: 'A4' });
+    doc.pipe(res);
+    groupBySlotAndRoom(assignments).forEach((group, idx) => {
+      if (idx > 0) doc.addPage();
+      renderRoomAssignmentSection(doc, room, group.assignments, group.date || session.date, dutiesInGroup(duties, group));
     });
-  });
+    doc.end();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
  * GET /api/session/:sessionId/pdf
- * Download consolidated PDF for every room in a session
+ * Download consolidated PDF for every room in a session, or only the rooms
+ * in ?rooms=R1,R2
  */
-app.get('/api/session/:sessionId/pdf', (req, res) => {
-  const { sessionId } = req.params;
-
-  db.get('SELECT date FROM sessions WHERE id = ?', [sessionId], (sessionErr, session) => {
-    if (sessionErr || !session) {
+app.get('/api/session/:sessionId/pdf', authorize('coordinator', 'invigilator'), dutyScope('sessionId', null, 'slot'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const slotId = req.query.slot || null;
+    let roomIds = req.query.rooms ? String(req.query.rooms).split(',').map(id => id.trim()).filter(Boolean) : [];
+    if (req.dutyRooms) {
+      roomIds = roomIds.length ? roomIds.filter(id => req.dutyRooms.includes(id)) : req.dutyRooms;
+      if (!roomIds.length) {
+        return res.status(403).json({ error: 'You have no duty in these rooms' });
+      }
+    }
+    const roomFilter = roomIds.length ? `AND a.room_id IN (${roomIds.map(() => '?').join(', ')})` : '';
+    
+    const session = await dbGet('SELECT date FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
+    
+    const assignments = await dbAll(`
+      SELECT a.*, s.name, COALESCE(p.subject, s.subject) AS subject, r.room_name, r.campus, r.building, r.floor, sl.date AS slot_date, sl.shift AS slot_shift 
+      FROM assignments a
+      JOIN students s ON a.student_roll = s.roll
+      JOIN rooms r ON r.room_id = a.room_id
+      LEFT JOIN papers p ON p.id = a.paper_id
+      LEFT JOIN slots sl ON sl.id = a.slot_id
+      WHERE a.session_id = ? AND (? IS NULL OR a.slot_id = ?) ${roomFilter}
+      ORDER BY a.slot_id, r.building, r.room_name, a.room_id, a.bench_number, a.position
+    `, [sessionId, slotId, slotId, ...roomIds]);
+    if (!assignments.length) {
+      return res.status(404).json({ error: 'No assignments found for this session' });
+    }
+    
+    const duties = await loadSessionDuties(sessionId, session.date);
+    const doc = new PDFDocument({ margin: 36, size: 'A4' });
+    const suffix = slotId ? `-slot${slotId}` : '';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=session-${sessionId}${suffix}.pdf`);
+    doc.pipe(res);
+    
+    const groups = groupBySlotAndRoom(assignments);
+    groups.forEach((group, idx) => {
+      if (idx > 0) doc.addPage();
+      renderRoomAssignmentSection(doc, group.room, group.assignments, group.date || session.date, dutiesInGroup(duties, group));
+    });
+    
+    // Close with the duty chart for the rooms printed above
+    const printedDuties = groups.flatMap(group => dutiesInGroup(duties, group));
+    if (printedDuties.length) {
+      doc.addPage();
+      renderDutyChartSection(doc, `Session: ${sessionId}`, printedDuties);
+    }
+    
+    doc.end();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    db.all(`
-      SELECT a.*, s.name, s.subject, r.room_name 
+/**
+ * GET /api/session/:sessionId/xlsx
+ * Download a session as an .xlsx workbook: a master sheet of every seat,
+ * then one sheet per room (per room and slot for timetables) with the same
+ * columns as the room PDFs
+ */
+app.get('/api/session/:sessionId/xlsx', authorize('coordinator', 'invigilator'), dutyScope('sessionId'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const assignments = (await dbAll(`
+      SELECT a.*, s.name, COALESCE(p.subject, s.subject) AS subject, r.room_name, r.campus, r.building, r.floor, sl.date AS slot_date, sl.shift AS slot_shift
       FROM assignments a
       JOIN students s ON a.student_roll = s.roll
       JOIN rooms r ON r.room_id = a.room_id
+      LEFT JOIN papers p ON p.id = a.paper_id
+      LEFT JOIN slots sl ON sl.id = a.slot_id
       WHERE a.session_id = ?
-      ORDER BY r.room_name, a.room_id, a.bench_number, a.position
-    `, [sessionId], (assignErr, assignments) => {
-      if (assignErr) {
-        return res.status(500).json({ error: assignErr.message });
+      ORDER BY a.slot_id, r.building, r.room_name, a.room_id, a.bench_number, a.position
+    `, [sessionId])).filter(a => !req.dutyRooms || req.dutyRooms.includes(a.room_id));
+    if (!assignments.length) {
+      return res.status(404).json({ error: 'No assignments found for this session' });
+    }
+    
+    const groups = groupBySlotAndRoom(assignments);
+    const timetable = groups.some(group => group.date);
+    const buildings = groups.some(group => group.room.building);
+    const seatRow = a => [a.bench_number, a.position, a.student_roll, a.name, a.subject];
+    const master = [[...(timetable ? ['Date'] : []), ...(buildings ? ['Building'] : []), 'Room', 'Bench', 'Seat', 'Roll', 'Name', 'Subject']];
+    groups.forEach(group => group.assignments.forEach(a => {
+      master.push([...(timetable ? [group.date] : []), ...(buildings ? [group.room.building || ''] : []), group.room.room_name, ...seatRow(a)]);
+    }));
+    const sheets = [{ name: 'All rooms', rows: master }].concat(groups.map(group => ({
+      name: group.date ? `${group.room.room_name} ${group.date}` : group.room.room_name,
+      rows: [['Bench', 'Seat', 'Roll', 'Name', 'Subject'], ...group.assignments.map(seatRow)]
+    })));
+    
+    res.setHeader('Content-Type', XLSX_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename=session-${sessionId}.xlsx`);
+    res.send(writeWorkbook(sheets));
+  } catch (error) {
+    console.error('Error exporting workbook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/export?format=csv|json|ndjson
+ * Every seat of a session joined with its student and room, one record per
+ * seat in slot, room, bench and seat order. ?columns=roll,room_id picks and
+ * orders the columns (default: all of EXPORT_COLUMNS); ?rooms=R1,R2 and
+ * ?slot=ID narrow the seats. csv has a header row; json wraps the records
+ * with the schema version, session and columns; ndjson is one record per line.
+ */
+app.get('/api/sessions/:id/export', authorize('coordinator', 'invigilator'), dutyScope('id', null, 'slot'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const columns = req.query.columns
+      ? String(req.query.columns).split(',').map(column => column.trim()).filter(Boolean)
+      : Object.keys(EXPORT_COLUMNS);
+    const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+    if (!columns.length || unknown.length) {
+      return res.status(400).json({
+        error: unknown.length ? `Unknown columns: ${unknown.join(', ')}` : 'No columns selected',
+        columns: EXPORT_COLUMNS
+      });
+    }
+    
+    const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [req.params.id]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    let roomIds = req.query.rooms ? String(req.query.rooms).split(',').map(id => id.trim()).filter(Boolean) : [];
+    if (req.dutyRooms) {
+      roomIds = roomIds.length ? roomIds.filter(id => req.dutyRooms.includes(id)) : req.dutyRooms;
+      if (!roomIds.length) {
+        return res.status(403).json({ error: 'You have no duty in these rooms' });
       }
-      if (!assignments || assignments.length === 0) {
-        return res.status(404).json({ error: 'No assignments found for this session' });
+    }
+    const slotId = req.query.slot || null;
+    const roomFilter = roomIds.length ? `AND a.room_id IN (${roomIds.map(() => '?').join(', ')})` : '';
+    const rows = await dbAll(`
+      SELECT a.*, s.name, COALESCE(p.subject, s.subject) AS subject, s.preferred_room,
+        r.room_name, r.campus, r.building, r.floor, sl.date AS slot_date, sl.shift AS slot_shift
+      FROM assignments a
+      JOIN students s ON s.roll = a.student_roll
+      LEFT JOIN papers p ON p.id = a.paper_id
+      LEFT JOIN rooms r ON r.room_id = a.room_id
+      LEFT JOIN slots sl ON sl.id = a.slot_id
+      WHERE a.session_id = ? AND (? IS NULL OR a.slot_id = ?) ${roomFilter}
+      ORDER BY a.slot_id, a.room_id, a.bench_number, a.position
+    `, [session.id, slotId, slotId, ...roomIds]);
+    
+    const records = rows.map(row => {
+      const full = {
+        session_id: session.id,
+        slot_id: row.slot_id ?? null,
+        date: row.slot_date || session.date,
+        shift: row.slot_shift || null,
+        room_id: row.room_id,
+        room_name: row.room_name ?? null,
+        campus: row.campus ?? null,
+        building: row.building ?? null,
+        floor: row.floor ?? null,
+        bench_number: row.bench_number,
+        position: row.position,
+        locked: Boolean(row.locked),
+        roll: row.student_roll,
+        name: row.name,
+        subject: row.subject,
+        preferred_room: row.preferred_room || null
+      };
+      return Object.fromEntries(columns.map(column => [column, full[column]]));
+    });
+    
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename=session-${session.id}.${format}`);
+    res.setHeader('X-Export-Schema-Version', String(EXPORT_SCHEMA_VERSION));
+    if (format === 'csv') {
+      // Names and subjects come from uploads, so nothing in them may run as a formula
+      return res.send(formatCsv([columns, ...records.map(record => columns.map(column => record[column]))], { escapeFormulas: true }));
+    }
+    if (format === 'ndjson') {
+      return res.send(records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    }
+    res.send(JSON.stringify({
+      schema_version: EXPORT_SCHEMA_VERSION,
+      session: sessionFields(session),
+      columns,
+      count: records.length,
+      assignments: records
+    }));
+  } catch (error) {
+    console.error('Error exporting session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/invigilators/upload
+ * Import invigilators from CSV (staff_id,name,subjects,email)
+ */
+app.post('/api/invigilators/upload', authorize('coordinator'), upload.single('file'), async (req, res) => {
+  try {
+    let csvContent;
+    
+    if (req.file) {
+      csvContent = req.file.buffer.toString('utf-8');
+    } else if (req.body.csv_content) {
+      csvContent = req.body.csv_content;
+    } else {
+      return res.status(400).json({ error: 'No CSV file or content provided' });
+    }
+    
+    const { records, report } = readRecords(csvContent, { columns: INVIGILATOR_COLUMNS, required: ['staff_id'] });
+    if (report.errors.length) {
+      return res.status(422).json({ error: report.errors.map(e => `Line ${e.line}: ${e.message}`).join('; '), report });
+    }
+    const invigilators = records
+      .map(record => record.values)
+      .filter(row => row.staff_id)
+      .map(row => ({
+        staff_id: row.staff_id,
+        name: row.name,
+        subjects: splitList(row.subjects),
+        email: row.email || ''
+      }));
+    
+    await withTransaction(async () => {
+      for (const inv of invigilators) {
+        await dbRun('INSERT OR REPLACE INTO invigilators (staff_id, name, subjects, email) VALUES (?, ?, ?, ?)',
+          [inv.staff_id, inv.name, inv.subjects.join(';'), inv.email]);
       }
+    });
+    
+    res.json({ success: true, invigilators, count: invigilators.length, report });
+  } catch (error) {
+    console.error('Error uploading invigilators:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const grouped = assignments.reduce((acc, assign) => {
-        if (!acc[assign.room_id]) {
-          acc[assign.room_id] = {
-            room: { room_id: assign.room_id, room_name: assign.room_name },
-            assignments: []
-          };
-        }
-        acc[assign.room_id].assignments.push(assign);
-        return acc;
-      }, {});
-
-      const doc = new PDFDocument({ margin: 36, size: 'A4' });
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename=session-${sessionId}.pdf`);
-      doc.pipe(res);
-
-      const roomIds = Object.keys(grouped);
-      roomIds.forEach((roomId, idx) => {
-        const { room, assignments: roomAssignments } = grouped[roomId];
-        if (idx > 0) doc.addPage();
-        renderRoomAssignmentSection(doc, room, roomAssignments, session.date);
-      });
+/**
+ * GET /api/invigilators
+ * List invigilators with the subjects they teach and their availability
+ */
+app.get('/api/invigilators', authorize('coordinator'), async (req, res) => {
+  try {
+    const invigilators = await dbAll('SELECT * FROM invigilators ORDER BY staff_id');
+    const availability = await dbAll('SELECT * FROM invigilator_availability ORDER BY date, shift');
+    
+    res.json({
+      invigilators: invigilators.map(inv => ({
+        ...inv,
+        subjects: splitList(inv.subjects),
+        availability: availability
+          .filter(a => a.staff_id === inv.staff_id)
+          .map(a => ({ date: a.date, shift: a.shift, available: Boolean(a.available) }))
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/invigilators/:staffId/availability
+ * Record availability per date and shift (an empty shift covers the whole day)
+ */
+app.put('/api/invigilators/:staffId/availability', authorize('coordinator'), async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    const { availability } = req.body;
+    
+    if (!Array.isArray(availability)) {
+      return res.status(400).json({ error: 'Invalid availability data' });
+    }
+    const invigilator = await dbGet('SELECT * FROM invigilators WHERE staff_id = ?', [staffId]);
+    if (!invigilator) {
+      return res.status(404).json({ error: 'Invigilator not found' });
+    }
+    
+    for (const entry of availability) {
+      await dbRun('INSERT OR REPLACE INTO invigilator_availability (staff_id, date, shift, available) VALUES (?, ?, ?, ?)',
+        [staffId, entry.date, entry.shift || '', entry.available === false ? 0 : 1]);
+    }
+    
+    res.json({ success: true, staff_id: staffId, availability });
+  } catch (error) {
+    console.error('Error saving availability:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      doc.end();
+/**
+ * Load a session's scheduled rooms per slot, with the subjects written in
+ * each room, in the shape assignInvigilators expects
+ */
+async function loadDutySlots(sessionId) {
+  const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) return null;
+  
+  const rows = await dbAll(`
+    SELECT DISTINCT a.slot_id, a.room_id, r.room_name, r.num_benches, r.seats_per_bench,
+      p.subject AS paper, s.subject, sl.date AS slot_date, sl.shift AS slot_shift
+    FROM assignments a
+    JOIN students s ON a.student_roll = s.roll
+    JOIN rooms r ON r.room_id = a.room_id
+    LEFT JOIN papers p ON p.id = a.paper_id
+    LEFT JOIN slots sl ON sl.id = a.slot_id
+    WHERE a.session_id = ?
+    ORDER BY a.slot_id, r.room_name
+  `, [sessionId]);
+  
+  const slots = [];
+  const bySlot = {};
+  rows.forEach(row => {
+    const slotKey = row.slot_id || '';
+    if (!bySlot[slotKey]) {
+      bySlot[slotKey] = {
+        slot_id: row.slot_id,
+        date: row.slot_date || session.date,
+        shift: row.slot_shift || '',
+        rooms: [],
+        roomIndex: {}
+      };
+      slots.push(bySlot[slotKey]);
+    }
+    const slot = bySlot[slotKey];
+    if (!slot.roomIndex[row.room_id]) {
+      slot.roomIndex[row.room_id] = {
+        room_id: row.room_id,
+        room_name: row.room_name,
+        capacity: row.num_benches * row.seats_per_bench,
+        subjects: []
+      };
+      slot.rooms.push(slot.roomIndex[row.room_id]);
+    }
+    // Timetable papers carry their own codes (BBA-101), so the student's
+    // subject is listed too for the rule against supervising your own subject
+    const { subjects } = slot.roomIndex[row.room_id];
+    [row.paper, row.subject].forEach(subject => {
+      if (subject && !subjects.includes(subject)) subjects.push(subject);
     });
   });
+  
+  return { session, slots: slots.map(({ roomIndex, ...slot }) => slot) };
+}
+
+/**
+ * POST /api/session/:sessionId/duties
+ * Assign invigilators to every scheduled room of a session
+ */
+app.post('/api/session/:sessionId/duties', authorize('coordinator'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { students_per_invigilator, min_per_room } = req.body;
+    
+    const loaded = await loadDutySlots(sessionId);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!loaded.slots.length) {
+      return res.status(404).json({ error: 'No assignments found for this session' });
+    }
+    
+    const invigilators = await dbAll('SELECT * FROM invigilators');
+    const availability = await dbAll('SELECT * FROM invigilator_availability');
+    // Duties already given out in other sessions count towards fairness
+    const prior = await dbAll('SELECT staff_id, COUNT(*) AS count FROM duties WHERE session_id != ? GROUP BY staff_id', [sessionId]);
+    const priorDuties = {};
+    prior.forEach(p => {
+      priorDuties[p.staff_id] = p.count;
+    });
+    
+    const result = assignInvigilators(loaded.slots, invigilators.map(inv => ({
+      staff_id: inv.staff_id,
+      name: inv.name,
+      subjects: splitList(inv.subjects),
+      availability: availability
+        .filter(a => a.staff_id === inv.staff_id)
+        .map(a => ({ date: a.date, shift: a.shift, available: Boolean(a.available) }))
+    })), {
+      students_per_invigilator: students_per_invigilator || undefined,
+      min_per_room: min_per_room || undefined,
+      prior_duties: priorDuties
+    });
+    
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM duties WHERE session_id = ?', [sessionId]);
+      for (const duty of result.duties) {
+        await dbRun('INSERT INTO duties (session_id, slot_id, room_id, staff_id) VALUES (?, ?, ?, ?)',
+          [sessionId, duty.slot_id, duty.room_id, duty.staff_id]);
+      }
+    });
+    
+    res.json({ ...result, session_id: sessionId });
+  } catch (error) {
+    console.error('Error assigning invigilators:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * POST /api/override
- * Manual override of seat assignment
+ * Load the duties given out in a session, with staff and room names, in
+ * duty chart order
+ */
+function loadSessionDuties(sessionId, sessionDate) {
+  return dbAll(`
+    SELECT d.*, i.name, r.room_name, COALESCE(sl.date, ?) AS date, sl.shift
+    FROM duties d
+    JOIN invigilators i ON i.staff_id = d.staff_id
+    JOIN rooms r ON r.room_id = d.room_id
+    LEFT JOIN slots sl ON sl.id = d.slot_id
+    WHERE d.session_id = ?
+    ORDER BY d.slot_id, r.room_name, i.name
+  `, [sessionDate, sessionId]);
+}
+
+/**
+ * GET /api/session/:sessionId/duties/pdf
+ * Download the invigilator duty chart for a session
  */
-app.post('/api/override', (req, res) => {
+app.get('/api/session/:sessionId/duties/pdf', authorize('coordinator', 'invigilator'), dutyScope('sessionId'), async (req, res) => {
   try {
-    const { session_id, from_seat, to_seat } = req.body;
+    const { sessionId } = req.params;
+    const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     
-    // Swap assignments
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-      
-      // Update from_seat
-      db.run(`UPDATE assignments 
-              SET room_id = ?, bench_number = ?, position = ? 
-              WHERE session_id = ? AND room_id = ? AND bench_number = ? AND position = ?`,
-        [to_seat.room_id, to_seat.bench_number, to_seat.position,
-         session_id, from_seat.room_id, from_seat.bench_number, from_seat.position]);
-      
-      // Update to_seat
-      db.run(`UPDATE assignments 
-              SET room_id = ?, bench_number = ?, position = ? 
-              WHERE session_id = ? AND room_id = ? AND bench_number = ? AND position = ?`,
-        [from_seat.room_id, from_seat.bench_number, from_seat.position,
-         session_id, to_seat.room_id, to_seat.bench_number, to_seat.position]);
-      
-      db.run('COMMIT', (err) => {
-        if (err) {
-          db.run('ROLLBACK');
-          return res.status(500).json({ error: err.message });
-        }
-        res.json({ success: true });
-      });
+    const duties = await loadSessionDuties(sessionId, session.date);
+    if (!duties.length) {
+      return res.status(404).json({ error: 'No duties assigned for this session' });
+    }
+    
+    const doc = new PDFDocument({ margin: 36, size: 'A4' });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=duties-${sessionId}.pdf`);
+    doc.pipe(res);
+    renderDutyChartSection(doc, `Session: ${sessionId}`, duties);
+    doc.end();
+  } catch (error) {
+    console.error('Error rendering duty chart:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Apply a hand edit to a session's seats. Loading the seats, checking the
+ * edit and writing the students who moved all happen in one transaction.
+ */
+async function editSessionSeats(req, res, edit, onViolation, auditAction = edit.action) {
+  const { sessionId } = req.params;
+  const session = await dbGet('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const slot = await dbGet('SELECT id FROM slots WHERE session_id = ?', [sessionId]);
+  if (slot) {
+    return res.status(400).json({ error: 'Seat edits are not supported for timetable sessions' });
+  }
+  const constraints = await withSubjectRules(JSON.parse(session.constraints || 'null'));
+  
+  const result = await withTransaction(async () => {
+    const before = await seatSnapshot(sessionId);
+    const edited = editSeats(await loadSeated(sessionId), await sessionRooms(sessionId), edit, {
+      constraints,
+      occupancy: req.body.occupancy,
+      on_violation: onViolation,
+      unavailable_rooms: await unavailableRooms(sessionId)
     });
+    for (const change of edited.success ? edited.changes : []) {
+      if (change.type === 'unassigned') {
+        await dbRun('DELETE FROM assignments WHERE session_id = ? AND student_roll = ?', [sessionId, change.roll]);
+      } else {
+        const { room_id, bench_number, position } = change.to;
+        await dbRun('UPDATE assignments SET room_id = ?, bench_number = ?, position = ? WHERE session_id = ? AND student_roll = ?',
+          [room_id, bench_number, position, sessionId, change.roll]);
+      }
+    }
+    if (edited.success) {
+      edited.change_id = await recordChange(req, sessionId, auditAction, before, await seatSnapshot(sessionId));
+    }
+    return edited;
+  });
+  
+  const refused = result.diagnostics.conflicts.length > 0;
+  const invalid = result.diagnostics.conflicts.some(c => c.type === 'validation');
+  res.status(refused ? (invalid ? 400 : 409) : 200).json({
+    ...result,
+    session_id: sessionId,
+    ...(refused ? { error: result.diagnostics.conflicts.map(c => c.message).join('; ') } : {}),
+    reprint: result.affected_rooms.map(roomId => `/api/session/${sessionId}/room/${roomId}/pdf`)
+  });
+}
+
+/**
+ * POST /api/session/:sessionId/seats
+ * Move a student to an empty seat, swap two seats or unassign a student:
+ * { action: 'move'|'swap'|'unassign', from, to, on_violation: 'reject'|'warn' }
+ * Seats are { room_id, bench_number, position }. An edit that breaks a hard
+ * constraint is refused with 409 unless on_violation is 'warn'.
+ */
+app.post('/api/session/:sessionId/seats', authorize('coordinator'), async (req, res) => {
+  try {
+    const { action, from, to, on_violation = 'reject' } = req.body;
+    await editSessionSeats(req, res, { action, from, to }, on_violation);
+  } catch (error) {
+    console.error('Error editing seats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/override
+ * Manual override of seat assignment: swaps from_seat and to_seat (or moves
+ * into to_seat when it is empty). Kept for older clients; constraint breaks
+ * are reported as violations rather than refused unless on_violation is 'reject'.
+ */
+app.post('/api/override', authorize('coordinator'), async (req, res) => {
+  try {
+    const { session_id, from_seat, to_seat, on_violation = 'warn' } = req.body;
+    if (!session_id) {
+      return res.status(400).json({ error: 'session_id is required' });
+    }
+    req.params.sessionId = session_id;
+    await editSessionSeats(req, res, { action: 'swap', from: from_seat, to: to_seat }, on_violation, 'override');
   } catch (error) {
     console.error('Error overriding assignment:', error);
     res.status(500).json({ error: error.message });
@@ -582,7 +2710,28 @@ function formatRollRanges(rolls) {
 }
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`API available at http://localhost:${PORT}`);
+
+// Only serve requests once the schema is at the version this code expects
+migrate(db)
+  .then(async version => {
+    console.log(`Database ${dbPath} at schema version ${version}`);
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM users');
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`API available at http://localhost:${PORT}`);
+      if (!count) {
+        console.log('No accounts yet: create the first admin with POST /api/auth/setup { username, password }');
+      }
+    });
+  })
+  .catch(error => {
+    console.error('Database startup failed:', error.message);
+    process.exit(1);
+  });
+
+// Let queued writes reach the database file before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    db.close(() => process.exit(0));
+  });
 });
\ No newline at end of file
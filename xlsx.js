@@ -0,0 +1,275 @@
+// xlsx.js - Minimal .xlsx reader and writer (cell values only, no styles)
+// An .xlsx file is a ZIP of XML parts; zlib handles the compression so no
+// spreadsheet library or external service is needed.
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Entries of a ZIP archive by name, read through its central directory
+ */
+function unzip(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not an .xlsx file (no ZIP directory found)');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt .xlsx file');
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    entries.set(name, method === 8 ? zlib.inflateRawSync(data) : data);
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Build a ZIP archive from { name, data } entries, deflating each one
+ */
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const raw = Buffer.from(data);
+    const packed = zlib.deflateRawSync(raw);
+    const nameBuffer = Buffer.from(name);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(0x2100, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0x2100, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, packed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + packed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1)));
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function encodeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and line breaks are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function attribute(tag, name) {
+  const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Text of every <t> run inside a shared or inline string
+function runText(xml) {
+  const visible = xml.replace(/<rPh[\s\S]*?<\/rPh>/g, '');
+  return Array.from(visible.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g), m => decodeXml(m[1])).join('');
+}
+
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref)[0];
+  return [...letters].reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function columnName(idx) {
+  let name = '';
+  for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function resolvePart(target) {
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+/**
+ * Read every sheet of a workbook as rows of text cells. Each row carries its
+ * spreadsheet row number as `line` and its cells as `fields`; empty rows are
+ * skipped. Numbers come back as written in the cell, booleans as TRUE/FALSE.
+ */
+function readWorkbook(buffer) {
+  const parts = unzip(buffer);
+  const text = name => (parts.has(name) ? parts.get(name).toString('utf8') : '');
+  const workbook = text('xl/workbook.xml');
+  if (!workbook) throw new Error('Not an .xlsx file (no workbook part)');
+
+  const targets = new Map();
+  for (const [tag] of text('xl/_rels/workbook.xml.rels').matchAll(/<Relationship\s[^>]*>/g)) {
+    targets.set(attribute(tag, 'Id'), resolvePart(attribute(tag, 'Target')));
+  }
+  const shared = Array.from(text('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g), m => runText(m[1]));
+
+  return Array.from(workbook.matchAll(/<sheet\s[^>]*>/g), ([tag]) => {
+    const xml = text(targets.get(attribute(tag, 'r:id')) || '');
+    const rows = [];
+    for (const [, rowTag, body = ''] of xml.matchAll(/<row(\s[^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const fields = [];
+      for (const [, cellTag, content = ''] of body.matchAll(/<c(\s[^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const ref = attribute(cellTag, 'r');
+        const idx = ref ? columnIndex(ref) : fields.length;
+        const type = attribute(cellTag, 't');
+        const value = /<v>([\s\S]*?)<\/v>/.exec(content);
+        let cell = value ? decodeXml(value[1]) : '';
+        if (type === 's') cell = shared[Number(cell)] ?? '';
+        else if (type === 'inlineStr') cell = runText(content);
+        else if (type === 'b') cell = cell === '1' ? 'TRUE' : 'FALSE';
+        while (fields.length < idx) fields.push('');
+        fields[idx] = cell;
+      }
+      if (fields.some(field => field !== '')) {
+        rows.push({ line: Number(attribute(rowTag, 'r')) || rows.length + 1, fields });
+      }
+    }
+    return { name: attribute(tag, 'name'), rows };
+  });
+}
+
+/**
+ * Pick a sheet by name or 1-based position; the first sheet by default
+ */
+function findSheet(sheets, sheet) {
+  if (sheet === undefined || sheet === null || sheet === '') return sheets[0] || null;
+  return sheets.find(s => s.name === String(sheet)) || (/^\d+$/.test(String(sheet)) ? sheets[Number(sheet) - 1] : null) || null;
+}
+
+// Excel refuses sheet names over 31 characters or with any of []:*?/\
+function sheetNames(names) {
+  const used = new Set();
+  return names.map(name => {
+    const base = String(name || 'Sheet').replace(/[[\]:*?/\\]/g, '-').slice(0, 31) || 'Sheet';
+    let unique = base;
+    for (let n = 2; used.has(unique.toLowerCase()); n++) {
+      unique = `${base.slice(0, 31 - String(n).length - 1)}~${n}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+}
+
+function sheetXml(rows) {
+  const body = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+/**
+ * Write sheets ({ name, rows: [[value]] }) as an .xlsx workbook. Numbers are
+ * stored as numbers, everything else as text.
+ */
+function writeWorkbook(sheets) {
+  const names = sheetNames(sheets.map(sheet => sheet.name));
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: xmlHeader
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: xmlHeader
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xmlHeader
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+        + names.map((name, i) => `<sheet name="${encodeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xmlHeader
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + '</Relationships>'
+    },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sheet.rows) }))
+  ];
+  return zip(files);
+}
+
+module.exports = { readWorkbook, writeWorkbook, findSheet };
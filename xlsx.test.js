@@ -0,0 +1,107 @@
+// xlsx.test.js - Unit tests for the .xlsx reader and writer
+const { readWorkbook, writeWorkbook, findSheet } = require('./xlsx');
+
+// Simple test framework
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function runTest(name, testFn) {
+  try {
+    testFn();
+    console.log(`✓ ${name}`);
+    return true;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    return false;
+  }
+}
+
+console.log('\n=== Running XLSX Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+// Test 1: A written workbook reads back the same
+if (runTest('Round trip', () => {
+  const buffer = writeWorkbook([
+    { name: 'All rooms', rows: [['Room', 'Bench', 'Roll'], ['R&D <1>', 1, 'Kumar, "A"'], ['R2', null, '1043-2']] },
+    { name: 'Room: 12/3', rows: [['Bench']] },
+    { name: 'Room: 12/3', rows: [] }
+  ]);
+  const sheets = readWorkbook(buffer);
+  assertEqual(sheets.map(s => s.name).join('|'), 'All rooms|Room- 12-3|Room- 12-3~2', 'Sheet names are made valid and unique');
+  assertEqual(sheets[0].rows[1].fields.join('|'), 'R&D <1>|1|Kumar, "A"', 'Text and numbers survive');
+  assertEqual(sheets[0].rows[2].fields.join('|'), 'R2||1043-2', 'Empty cells keep their column');
+  assertEqual(findSheet(sheets, 2).name, 'Room- 12-3', 'Sheets can be picked by position');
+  assertEqual(findSheet(sheets, 'All rooms').rows.length, 3, 'Sheets can be picked by name');
+  assertEqual(findSheet(sheets, 'Nope'), null, 'Unknown sheets are not found');
+})) passed++; else failed++;
+
+// Test 2: Shared strings and sparse rows as Excel writes them
+if (runTest('Excel-style parts', () => {
+  const parts = {
+    '[Content_Types].xml': '<Types/>',
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Data &amp; more" sheetId="1" r:id="rId3"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId3" Target="/xl/worksheets/sheet1.xml"/></Relationships>',
+    'xl/sharedStrings.xml': '<sst><si><t>Roll No</t></si><si><r><t>Student </t></r><r><t xml:space="preserve">Name</t></r><rPh><t>x</t></rPh></si></sst>',
+    'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>'
+      + '<row r="4"><c r="A4" s="1"/><c r="C4" t="inlineStr"><is><t>BBA</t></is></c><c r="D4" t="b"><v>1</v></c></row></sheetData></worksheet>'
+  };
+  // Store the parts uncompressed (the reader does not check CRCs), as some exporters do
+  const files = Object.entries(parts).map(([name, xml]) => ({ name: Buffer.from(name), data: Buffer.from(xml) }));
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    chunks.push(local, name, data);
+    central.push(entry, name);
+    offset += 30 + name.length + data.length;
+  });
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  const [sheet] = readWorkbook(Buffer.concat([...chunks, directory, end]));
+  assertEqual(sheet.name, 'Data & more', 'Sheet names are decoded');
+  assertEqual(sheet.rows[0].fields.join('|'), 'Roll No|Student Name', 'Rich text runs are joined, phonetic runs dropped');
+  assertEqual(sheet.rows[1].line, 4, 'Row numbers come from the sheet');
+  assertEqual(sheet.rows[1].fields.join('|'), '||BBA|TRUE', 'Inline strings and booleans are read');
+  let rejected = false;
+  try {
+    readWorkbook(Buffer.from('roll,name\n1,A'));
+  } catch (error) {
+    rejected = true;
+  }
+  assert(rejected, 'A CSV is not mistaken for a workbook');
+})) passed++; else failed++;
+
+console.log(`\n=== Test Results ===`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+process.exit(failed > 0 ? 1 : 0);